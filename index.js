@@ -3,6 +3,11 @@ import chalk from "chalk";
 import figlet from "figlet";
 import { ethers } from "ethers";
 import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import readline from "readline";
+import { AsyncLocalStorage } from "async_hooks";
+import { stripVTControlCharacters } from "util";
 import { HttpsProxyAgent } from "https-proxy-agent";
 import { SocksProxyAgent } from "socks-proxy-agent";
 import axios from "axios";
@@ -17,7 +22,34 @@ const TRANSACTION_API_URL = "https://api.tea-fi.com/transaction";
 const CHECKIN_STATUS_URL = "https://api.tea-fi.com/wallet/check-in/current";
 const CHECKIN_URL = "https://api.tea-fi.com/wallet/check-in";
 const CONFIG_FILE = "config.json";
+const PK_FILE = "pk.txt";
+const VAULT_FILE = "vault.json";
+const MNEMONIC_FILE = "mnemonic.txt";
+const KEYSTORE_DIR = "keystores";
+const FUNDER_KEYSTORE_FILE = "funder-keystore.json";
+const ACCOUNTS_FILE = "accounts.json";
+const LEDGER_FILE = "ledger.jsonl";
+const OUTBOX_FILE = "outbox.json";
+const PENDING_TX_FILE = "pending-tx.json";
+const PENDING_TX_RETENTION_DAYS = 7;
+const SHUTDOWN_DRAIN_TIMEOUT_MS = 180000;
+const TX_CONFIRM_TIMEOUT_MS = 120000;
+const SCHEDULE_FILE = "schedule.json";
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const LEDGER_FIELDS = ["timestamp", "type", "accountIndex", "address", "txHash", "token", "direction", "amountIn", "gasUsed", "effectiveGasPrice", "gasCost", "status", "pointsAmount", "reported", "checkInPoints", "error"];
+const ACCOUNT_CSV_COLUMNS = ["address", "label", "proxy", "enabled", "swapRepetitions", "wpolMin", "wpolMax", "tpolMin", "tpolMax", "checkIn"];
+const PASSPHRASE_ENV = "TEAFI_PASSPHRASE";
+const POL_TRANSFER_GAS = 21000n;
+const WPOL_DEPOSIT_GAS_BOUND = 60000n;
+const SWEEP_TOKENS = ["WPOL", "tPOL", "POL"];
+const IP_ECHO_URL = "https://api.ipify.org?format=json";
 const isDebug = false;
+const MAX_MEMORY_LOGS = 1000;
+const cliOptions = parseCliArgs(process.argv.slice(2));
+const isHeadless = cliOptions.headless;
+let isDryRun = cliOptions.flags["dry-run"] === true;
+let currentGasInfo = { feeGwei: null, baseFeeGwei: null };
+let gasEstimateCache = new Map();
 
 const swapDirections = [
   { from: "WPOL", to: "tPOL", tokenIn: WPOL_ADDRESS, tokenOut: TPOL_ADDRESS, type: 2 },
@@ -32,27 +64,123 @@ let walletInfo = {
   activeAccount: "N/A"
 };
 let transactionLogs = [];
-let activityRunning = false;
-let isCycleRunning = false;
-let shouldStop = false;
-let dailyActivityInterval = null;
+let currentJob = null;
+let nextCycleTimer = null;
+let nextRunAt = null;
+let scheduleFormatter = null;
+const shutdownController = new AbortController();
 let accounts = [];
 let proxies = [];
-let selectedWalletIndex = 0;
+let accountSettings = new Map();
 let loadingSpinner = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
 const borderBlinkColors = ["cyan", "blue", "magenta", "red", "yellow", "green"];
 let borderBlinkIndex = 0;
 let blinkCounter = 0;
 let spinnerIndex = 0;
-let hasLoggedSleepInterrupt = false;
 let isHeaderRendered = false;
-let activeProcesses = 0;
+let failedAccounts = new Set();
+let logContext = {};
+let activeAccounts = new Set();
+const logContextStorage = new AsyncLocalStorage();
+let logFileState = { date: null, filePath: null, size: 0, part: 0, disabled: false };
+let headlessLogStream = process.stdout;
+let reportOutbox = {};
+let reportedHashes = new Set();
+let isProcessingOutbox = false;
+let outboxInterval = null;
+let pendingTxJournal = {};
+let isShuttingDown = false;
+let inFlightTransactions = 0;
+let rpcEndpoints = [];
+let rpcUsageByAccount = new Map();
+let eligibilityByAccount = new Map();
+let eligibilityBeforeDryRun = null;
+let rpcGetUrlFuncs = new Map();
+let vaultPassphrase = null;
 
 let dailyActivityConfig = {
   swapRepetitions: 1,
   wpolSwapRange: { min: 5.5, max: 6 },
   tpolSwapRange: { min: 5.5, max: 6 },
-  loopHours: 24
+  loopHours: 24,
+  concurrency: 1,
+  schedule: {
+    timezone: "",
+    windows: [],
+    jitterMinutes: 0,
+    skipDays: []
+  },
+  accountQueue: {
+    enabled: false,
+    cooldownHours: 24,
+    bufferMinutes: 1,
+    retryMinutes: 30
+  },
+  logging: {
+    enabled: true,
+    directory: "logs",
+    maxFileSizeMB: 10,
+    retentionDays: 14
+  },
+  derivationPaths: ["m/44'/60'/0'/0/0"],
+  approval: {
+    mode: "exact",
+    capAmount: 100
+  },
+  swapPlanner: {
+    enabled: false,
+    amountMode: "range",
+    wpolPercent: { min: 10, max: 20 },
+    tpolPercent: { min: 10, max: 20 },
+    endState: "none"
+  },
+  gasTopUp: {
+    funderKeyFile: "funder.txt",
+    thresholdPol: 0.5,
+    targetPol: 2,
+    budgetPol: 0,
+    beforeCycle: false
+  },
+  sweep: {
+    masterAddress: "",
+    tokens: ["WPOL", "tPOL", "POL"]
+  },
+  liquidate: {
+    reportUnwraps: true
+  },
+  autoWrap: {
+    enabled: false,
+    polReserve: 1,
+    targetWpol: 0
+  },
+  gasPolicy: {
+    maxFeePerGasGwei: 0,
+    priorityFeeMultiplier: 1,
+    waitForCheapGas: false,
+    waitTimeoutMinutes: 60,
+    checkIntervalSec: 30,
+    maxTxCostPol: 0,
+    gasLimitMarginPercent: 20,
+    gasEstimateCacheMinutes: 30
+  },
+  stuckTx: {
+    speedUpAfterSec: 60,
+    bumpPercent: 15,
+    maxBumps: 3,
+    cancelAfterBumps: false
+  },
+  reportRetry: {
+    baseDelaySec: 30,
+    maxDelaySec: 3600,
+    maxAttempts: 20
+  },
+  rpc: {
+    urls: [TEAFI_RPC_URL],
+    timeoutMs: 10000,
+    maxBlockLag: 5,
+    maxErrorRate: 0.5,
+    sharedProxy: ""
+  }
 };
 
 const userAgents = [
@@ -68,6 +196,27 @@ const Headers = {
   'accept-encoding': 'gzip, deflate, br'
 };
 
+function parseCliArgs(argv) {
+  const options = { headless: false, command: null, args: [], flags: {} };
+  for (const arg of argv) {
+    if (arg === "--headless") {
+      options.headless = true;
+    } else if (arg.startsWith("--")) {
+      const separatorIndex = arg.indexOf("=");
+      if (separatorIndex === -1) {
+        options.flags[arg.slice(2)] = true;
+      } else {
+        options.flags[arg.slice(2, separatorIndex)] = arg.slice(separatorIndex + 1);
+      }
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.args.push(arg);
+    }
+  }
+  return options;
+}
+
 function loadConfig() {
   try {
     if (fs.existsSync(CONFIG_FILE)) {
@@ -79,6 +228,64 @@ function loadConfig() {
       dailyActivityConfig.tpolSwapRange.min = Number(config.tpolSwapRange?.min) || 5.5;
       dailyActivityConfig.tpolSwapRange.max = Number(config.tpolSwapRange?.max) || 6;
       dailyActivityConfig.loopHours = Number(config.loopHours) || 24;
+      dailyActivityConfig.concurrency = Math.max(1, parseInt(config.concurrency, 10) || 1);
+      dailyActivityConfig.schedule.timezone = isValidTimezone(config.schedule?.timezone) ? config.schedule.timezone : "";
+      dailyActivityConfig.schedule.windows = Array.isArray(config.schedule?.windows) ? config.schedule.windows.filter(window => parseTimeOfDay(window?.start) !== null && parseTimeOfDay(window?.end) !== null) : [];
+      dailyActivityConfig.schedule.jitterMinutes = Number(config.schedule?.jitterMinutes) || 0;
+      dailyActivityConfig.schedule.skipDays = Array.isArray(config.schedule?.skipDays) ? config.schedule.skipDays.map(day => String(day).trim()) : [];
+      scheduleFormatter = null;
+      dailyActivityConfig.accountQueue.enabled = config.accountQueue?.enabled === true;
+      dailyActivityConfig.accountQueue.cooldownHours = Number(config.accountQueue?.cooldownHours) || 24;
+      dailyActivityConfig.accountQueue.bufferMinutes = Number(config.accountQueue?.bufferMinutes ?? 1);
+      dailyActivityConfig.accountQueue.retryMinutes = Number(config.accountQueue?.retryMinutes) || 30;
+      dailyActivityConfig.logging.enabled = config.logging?.enabled !== false;
+      dailyActivityConfig.logging.directory = config.logging?.directory || "logs";
+      dailyActivityConfig.logging.maxFileSizeMB = Number(config.logging?.maxFileSizeMB) || 10;
+      dailyActivityConfig.logging.retentionDays = Number(config.logging?.retentionDays) || 14;
+      const derivationPaths = Array.isArray(config.derivationPaths) ? config.derivationPaths.map(spec => String(spec).trim()).filter(spec => spec) : [];
+      dailyActivityConfig.derivationPaths = derivationPaths.length > 0 ? derivationPaths : ["m/44'/60'/0'/0/0"];
+      dailyActivityConfig.gasPolicy.maxFeePerGasGwei = Number(config.gasPolicy?.maxFeePerGasGwei) || 0;
+      dailyActivityConfig.gasPolicy.priorityFeeMultiplier = Number(config.gasPolicy?.priorityFeeMultiplier) || 1;
+      dailyActivityConfig.gasPolicy.waitForCheapGas = config.gasPolicy?.waitForCheapGas === true;
+      dailyActivityConfig.gasPolicy.waitTimeoutMinutes = Number(config.gasPolicy?.waitTimeoutMinutes) || 60;
+      dailyActivityConfig.gasPolicy.checkIntervalSec = Number(config.gasPolicy?.checkIntervalSec) || 30;
+      dailyActivityConfig.gasPolicy.maxTxCostPol = Number(config.gasPolicy?.maxTxCostPol) || 0;
+      const gasLimitMarginPercent = Number(config.gasPolicy?.gasLimitMarginPercent ?? 20);
+      dailyActivityConfig.gasPolicy.gasLimitMarginPercent = Number.isFinite(gasLimitMarginPercent) && gasLimitMarginPercent >= 0 ? gasLimitMarginPercent : 20;
+      const gasEstimateCacheMinutes = Number(config.gasPolicy?.gasEstimateCacheMinutes ?? 30);
+      dailyActivityConfig.gasPolicy.gasEstimateCacheMinutes = Number.isFinite(gasEstimateCacheMinutes) && gasEstimateCacheMinutes >= 0 ? gasEstimateCacheMinutes : 30;
+      dailyActivityConfig.approval.mode = ["exact", "cap", "unlimited"].includes(config.approval?.mode) ? config.approval.mode : "exact";
+      dailyActivityConfig.approval.capAmount = Number(config.approval?.capAmount) || 100;
+      dailyActivityConfig.swapPlanner.enabled = config.swapPlanner?.enabled === true;
+      dailyActivityConfig.swapPlanner.amountMode = config.swapPlanner?.amountMode === "percent" ? "percent" : "range";
+      dailyActivityConfig.swapPlanner.wpolPercent = getValidRange(config.swapPlanner?.wpolPercent) || { min: 10, max: 20 };
+      dailyActivityConfig.swapPlanner.tpolPercent = getValidRange(config.swapPlanner?.tpolPercent) || { min: 10, max: 20 };
+      dailyActivityConfig.swapPlanner.endState = ["WPOL", "tPOL"].includes(config.swapPlanner?.endState) ? config.swapPlanner.endState : "none";
+      dailyActivityConfig.gasTopUp.funderKeyFile = config.gasTopUp?.funderKeyFile || "funder.txt";
+      dailyActivityConfig.gasTopUp.thresholdPol = Number(config.gasTopUp?.thresholdPol) || 0.5;
+      dailyActivityConfig.gasTopUp.targetPol = Number(config.gasTopUp?.targetPol) || 2;
+      dailyActivityConfig.gasTopUp.budgetPol = Number(config.gasTopUp?.budgetPol) || 0;
+      dailyActivityConfig.gasTopUp.beforeCycle = config.gasTopUp?.beforeCycle === true;
+      dailyActivityConfig.sweep.masterAddress = config.sweep?.masterAddress || "";
+      const sweepTokens = Array.isArray(config.sweep?.tokens) ? config.sweep.tokens.filter(symbol => SWEEP_TOKENS.includes(symbol)) : [];
+      dailyActivityConfig.sweep.tokens = sweepTokens.length > 0 ? sweepTokens : [...SWEEP_TOKENS];
+      dailyActivityConfig.liquidate.reportUnwraps = config.liquidate?.reportUnwraps !== false;
+      dailyActivityConfig.autoWrap.enabled = config.autoWrap?.enabled === true;
+      dailyActivityConfig.autoWrap.polReserve = Number(config.autoWrap?.polReserve) >= 0 ? Number(config.autoWrap.polReserve) : 1;
+      dailyActivityConfig.autoWrap.targetWpol = Number(config.autoWrap?.targetWpol) || 0;
+      dailyActivityConfig.stuckTx.speedUpAfterSec = Number(config.stuckTx?.speedUpAfterSec) || 60;
+      dailyActivityConfig.stuckTx.bumpPercent = Math.max(10, Number(config.stuckTx?.bumpPercent) || 15);
+      dailyActivityConfig.stuckTx.maxBumps = Number(config.stuckTx?.maxBumps ?? 3);
+      dailyActivityConfig.stuckTx.cancelAfterBumps = config.stuckTx?.cancelAfterBumps === true;
+      dailyActivityConfig.reportRetry.baseDelaySec = Number(config.reportRetry?.baseDelaySec) || 30;
+      dailyActivityConfig.reportRetry.maxDelaySec = Number(config.reportRetry?.maxDelaySec) || 3600;
+      dailyActivityConfig.reportRetry.maxAttempts = Number(config.reportRetry?.maxAttempts) || 20;
+      const rpcUrls = Array.isArray(config.rpc?.urls) ? config.rpc.urls.map(url => String(url).trim()).filter(url => url) : [];
+      dailyActivityConfig.rpc.urls = rpcUrls.length > 0 ? rpcUrls : [TEAFI_RPC_URL];
+      dailyActivityConfig.rpc.timeoutMs = Number(config.rpc?.timeoutMs) || 10000;
+      dailyActivityConfig.rpc.maxBlockLag = Number(config.rpc?.maxBlockLag) || 5;
+      dailyActivityConfig.rpc.maxErrorRate = Number(config.rpc?.maxErrorRate) || 0.5;
+      dailyActivityConfig.rpc.sharedProxy = typeof config.rpc?.sharedProxy === "string" ? config.rpc.sharedProxy.trim() : "";
     } else {
       addLog("No config file found, using default settings.", "info");
     }
@@ -123,16 +330,120 @@ process.on("unhandledRejection", (reason) => {
 
 process.on("uncaughtException", (error) => {
   addLog(`Uncaught Exception: ${error.message}\n${error.stack}`, "error");
-  process.exit(1);
+  requestShutdown("Uncaught exception", 1);
 });
 
+async function trackConfirmation(promise) {
+  inFlightTransactions++;
+  try {
+    return await promise;
+  } finally {
+    inFlightTransactions--;
+  }
+}
+
+async function requestShutdown(reason, exitCode = 0) {
+  if (isShuttingDown) {
+    addLog("Forcing exit. Unfinished transactions will be reconciled on next start.", "warn");
+    process.exit(exitCode || 1);
+  }
+  isShuttingDown = true;
+  shutdownController.abort();
+  cancelCurrentJob();
+  addLog(`${reason}. Shutting down gracefully${isHeadless ? "" : " (press again to force)"}...`, "warn");
+  const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT_MS;
+  while (inFlightTransactions > 0 && Date.now() < deadline) {
+    addLog(`Waiting for ${inFlightTransactions} transaction(s) to confirm...`, "wait");
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+  if (inFlightTransactions > 0) {
+    addLog(`${inFlightTransactions} transaction(s) still unconfirmed, leaving them in ${PENDING_TX_FILE}.`, "warn");
+  }
+  clearInterval(outboxInterval);
+  saveReportOutbox();
+  savePendingTxJournal();
+  addLog("Exiting application", "info");
+  if (!isHeadless) {
+    screen.destroy();
+  }
+  process.exit(exitCode);
+}
+
 function getShortAddress(address) {
   return address ? address.slice(0, 6) + "..." + address.slice(-4) : "N/A";
 }
 
-function addLog(message, type = "info") {
+function getLogFilePath(date, part) {
+  return path.join(dailyActivityConfig.logging.directory, `teafi-${date}${part > 0 ? `.${part}` : ""}.jsonl`);
+}
+
+function pruneLogFiles() {
+  const { directory, retentionDays } = dailyActivityConfig.logging;
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const fileName of fs.readdirSync(directory)) {
+    const match = fileName.match(/^teafi-(\d{4}-\d{2}-\d{2})(?:\.\d+)?\.jsonl$/);
+    if (match && match[1] < cutoff) {
+      fs.unlinkSync(path.join(directory, fileName));
+    }
+  }
+}
+
+function openLogFile(date) {
+  const { directory } = dailyActivityConfig.logging;
+  fs.mkdirSync(directory, { recursive: true });
+  let part = 0;
+  while (fs.existsSync(getLogFilePath(date, part + 1))) part++;
+  const filePath = getLogFilePath(date, part);
+  const size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  logFileState = { ...logFileState, date, filePath, size, part };
+  pruneLogFiles();
+}
+
+function writeLogFile(entry) {
+  const { enabled, maxFileSizeMB } = dailyActivityConfig.logging;
+  if (!enabled || logFileState.disabled) return;
+  try {
+    const date = entry.timestamp.slice(0, 10);
+    if (logFileState.date !== date) {
+      openLogFile(date);
+    }
+    const line = JSON.stringify(entry) + "\n";
+    const lineSize = Buffer.byteLength(line);
+    if (logFileState.size > 0 && logFileState.size + lineSize > maxFileSizeMB * 1024 * 1024) {
+      const part = logFileState.part + 1;
+      logFileState = { ...logFileState, filePath: getLogFilePath(date, part), size: 0, part };
+    }
+    fs.appendFileSync(logFileState.filePath, line);
+    logFileState.size += lineSize;
+  } catch (error) {
+    logFileState.disabled = true;
+    addLog(`Log file disabled: ${error.message}`, "error");
+  }
+}
+
+function getLogContext() {
+  return logContextStorage.getStore() ?? logContext;
+}
+
+function addLog(message, type = "info", context = {}) {
   if (type === "debug" && !isDebug) return;
+  const entryContext = { ...getLogContext(), ...context };
+  writeLogFile({
+    timestamp: new Date().toISOString(),
+    level: type,
+    accountIndex: entryContext.accountIndex ?? null,
+    address: entryContext.address ?? null,
+    txHash: entryContext.txHash ?? null,
+    message: stripVTControlCharacters(String(message))
+  });
   const timestamp = new Date().toLocaleTimeString("id-ID", { timeZone: "Asia/Jakarta" });
+  if (dailyActivityConfig.concurrency > 1 && entryContext.accountIndex) {
+    message = `[#${entryContext.accountIndex}] ${message}`;
+  }
+  if (isHeadless) {
+    headlessLogStream.write(`[${timestamp}] [${type.toUpperCase()}] ${message}\n`);
+    return;
+  }
   let coloredMessage;
   switch (type) {
     case "error":
@@ -161,6 +472,9 @@ function addLog(message, type = "info") {
   }
   const logMessage = `[${timestamp}] ${coloredMessage}`;
   transactionLogs.push(logMessage);
+  if (transactionLogs.length > MAX_MEMORY_LOGS) {
+    transactionLogs.shift();
+  }
   updateLogs();
 }
 
@@ -175,490 +489,3028 @@ function clearTransactionLogs() {
   addLog("Transaction logs cleared.", "success");
 }
 
-function loadAccounts() {
+function readPrivateKeysFromFile(filePath) {
+  const data = fs.readFileSync(filePath, "utf8");
+  return data.split("\n").map(line => line.trim()).filter(line => line);
+}
+
+function getKeystoreFiles() {
+  if (!fs.existsSync(KEYSTORE_DIR)) return [];
+  return fs.readdirSync(KEYSTORE_DIR).filter(fileName => fileName.endsWith(".json")).map(fileName => path.join(KEYSTORE_DIR, fileName));
+}
+
+function deriveVaultKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32, { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+function encryptVault(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveVaultKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+  return {
+    version: 1,
+    kdf: "scrypt",
+    cipher: "aes-256-gcm",
+    salt: salt.toString("hex"),
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex")
+  };
+}
+
+function decryptVault(vault, passphrase) {
   try {
-    const data = fs.readFileSync("pk.txt", "utf8");
-    accounts = data.split("\n").map(line => line.trim()).filter(line => line).map(privateKey => ({ privateKey }));
-    if (accounts.length === 0) {
-      throw new Error("No private keys found in pk.txt");
-    }
-    addLog(`Loaded ${accounts.length} accounts from pk.txt`, "success");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", deriveVaultKey(passphrase, Buffer.from(vault.salt, "hex")), Buffer.from(vault.iv, "hex"));
+    decipher.setAuthTag(Buffer.from(vault.tag, "hex"));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.ciphertext, "hex")), decipher.final()]).toString("utf8");
+    const payload = JSON.parse(plaintext);
+    return { privateKeys: payload.privateKeys || [], mnemonics: payload.mnemonics || [], funderKey: payload.funderKey || null };
   } catch (error) {
-    addLog(`Failed to load accounts: ${error.message}`, "error");
-    accounts = [];
+    throw new Error("Failed to decrypt vault (wrong passphrase or corrupted file)");
   }
 }
 
-function loadProxies() {
+function readVault(passphrase) {
   try {
-    if (fs.existsSync("proxy.txt")) {
-      const data = fs.readFileSync("proxy.txt", "utf8");
-      proxies = data.split("\n").map(proxy => proxy.trim()).filter(proxy => proxy);
-      if (proxies.length === 0) throw new Error("No proxy found in proxy.txt");
-      addLog(`Loaded ${proxies.length} proxies from proxy.txt`, "success");
-    } else {
-      addLog("No proxy.txt found, running without proxy.", "info");
-    }
+    return decryptVault(JSON.parse(fs.readFileSync(VAULT_FILE, "utf8")), passphrase);
   } catch (error) {
-    addLog(`Failed to load proxy: ${error.message}`, "info");
-    proxies = [];
+    if (passphrase === vaultPassphrase) {
+      vaultPassphrase = null;
+    }
+    throw error;
   }
 }
 
-function createAgent(proxyUrl) {
-  if (!proxyUrl) return null;
-  if (proxyUrl.startsWith("socks")) {
-    return new SocksProxyAgent(proxyUrl);
-  } else {
-    return new HttpsProxyAgent(proxyUrl);
+function writeVault(payload, passphrase) {
+  const tempFile = `${VAULT_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(encryptVault(payload, passphrase), null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, VAULT_FILE);
+}
+
+function shredFile(filePath) {
+  const size = fs.statSync(filePath).size;
+  const fd = fs.openSync(filePath, "r+");
+  try {
+    for (let pass = 0; pass < 3; pass++) {
+      fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+      fs.fsyncSync(fd);
+    }
+  } finally {
+    fs.closeSync(fd);
   }
+  fs.unlinkSync(filePath);
 }
 
-function getProvider(proxyUrl, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const agent = createAgent(proxyUrl);
-      const fetchOptions = agent ? { agent } : {};
-      const provider = new ethers.JsonRpcProvider(TEAFI_RPC_URL, { chainId: TEAFI_CHAIN_ID, name: "Polygon" }, { fetchOptions });
-      return provider;
-    } catch (error) {
-      addLog(`Attempt ${attempt}/${maxRetries} failed to initialize provider: ${error.message}`, "error");
-      if (attempt < maxRetries) sleep(1000);
+function promptTerminal(question, { secret = false } = {}) {
+  if (!process.stdin.isTTY) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    if (secret) {
+      rl._writeToOutput = (text) => {
+        if (text.includes(question)) process.stdout.write(text);
+      };
     }
+    rl.question(question, (answer) => {
+      if (secret) process.stdout.write("\n");
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function promptTui(label, { secret = false, value = "" } = {}) {
+  return new Promise((resolve) => {
+    const input = blessed.textbox({
+      parent: screen,
+      label: ` ${label} `,
+      top: "center",
+      left: "center",
+      width: "50%",
+      height: 3,
+      censor: secret,
+      inputOnFocus: true,
+      value,
+      border: { type: "line" },
+      style: { fg: "white", bg: "default", border: { fg: "yellow" } }
+    });
+    const finish = (answer) => {
+      input.destroy();
+      safeRender();
+      resolve(answer);
+    };
+    input.on("submit", (answer) => finish(answer ?? ""));
+    input.on("cancel", () => finish(null));
+    input.focus();
+    safeRender();
+  });
+}
+
+async function confirmAction(question, options = { flags: {} }) {
+  if (options.flags.yes) return true;
+  const answer = isHeadless ? await promptTerminal(`${question} (y/N): `) : await promptTui(`${question} (y/N)`);
+  if (String(answer ?? "").trim().toLowerCase() === "y") return true;
+  addLog(isHeadless && !process.stdin.isTTY ? "No terminal to confirm on. Pass --yes to proceed." : "Cancelled.", "warn");
+  return false;
+}
+
+async function getNewVaultPassphrase() {
+  if (fs.existsSync(VAULT_FILE)) return getVaultPassphrase();
+  if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+  const passphrase = await promptTerminal("New vault passphrase: ", { secret: true });
+  const confirmation = await promptTerminal("Confirm passphrase: ", { secret: true });
+  if (!passphrase || passphrase !== confirmation) {
+    throw new Error("Passphrases are empty or do not match.");
   }
-  addLog(`Failed to initialize provider for chain ${TEAFI_CHAIN_ID} after ${maxRetries} attempts.`, "error");
-  return null;
+  vaultPassphrase = passphrase;
+  return passphrase;
 }
 
-async function sleep(ms) {
-  if (shouldStop) {
-    if (!hasLoggedSleepInterrupt) {
-      addLog("Process stopped successfully.", "info");
-      hasLoggedSleepInterrupt = true;
+async function getVaultPassphrase() {
+  if (vaultPassphrase) return vaultPassphrase;
+  if (process.env[PASSPHRASE_ENV]) {
+    vaultPassphrase = process.env[PASSPHRASE_ENV];
+  } else if (isHeadless) {
+    vaultPassphrase = await promptTerminal("Vault passphrase: ", { secret: true });
+  } else {
+    vaultPassphrase = await promptTui("Enter Vault Passphrase", { secret: true });
+  }
+  if (!vaultPassphrase) {
+    throw new Error(`No passphrase provided. Set ${PASSPHRASE_ENV} or enter it when prompted.`);
+  }
+  return vaultPassphrase;
+}
+
+function parseDerivationSpec(spec) {
+  const match = spec.match(/^(m(?:\/\d+'?)*)\/(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid derivation path: ${spec}`);
+  }
+  const start = Number(match[2]);
+  const end = match[3] === undefined ? start : Number(match[3]);
+  if (end < start) {
+    throw new Error(`Invalid derivation range: ${spec}`);
+  }
+  return { basePath: match[1], start, end };
+}
+
+function deriveMnemonicKeys(phrase, derivationPaths) {
+  const root = ethers.HDNodeWallet.fromMnemonic(ethers.Mnemonic.fromPhrase(phrase.trim()), "m");
+  const derivedKeys = [];
+  for (const spec of derivationPaths) {
+    const { basePath, start, end } = parseDerivationSpec(spec);
+    const baseNode = root.derivePath(basePath);
+    for (let index = start; index <= end; index++) {
+      derivedKeys.push({ privateKey: baseNode.deriveChild(index).privateKey, source: `${basePath}/${index}` });
     }
-    return;
   }
-  activeProcesses++;
+  return derivedKeys;
+}
+
+async function loadAccounts() {
   try {
-    await new Promise((resolve) => {
-      const timeout = setTimeout(() => {
-        resolve();
-      }, ms);
-      const checkStop = setInterval(() => {
-        if (shouldStop) {
-          clearTimeout(timeout);
-          clearInterval(checkStop);
-          if (!hasLoggedSleepInterrupt) {
-            addLog("Process interrupted.", "info");
-            hasLoggedSleepInterrupt = true;
-          }
-          resolve();
+    const entries = [];
+    const sources = [];
+    const mnemonics = [];
+    if (fs.existsSync(PK_FILE)) {
+      const fileKeys = readPrivateKeysFromFile(PK_FILE);
+      entries.push(...fileKeys.map(privateKey => ({ privateKey, source: PK_FILE })));
+      sources.push(`${fileKeys.length} from ${PK_FILE}`);
+    }
+    if (fs.existsSync(MNEMONIC_FILE)) {
+      mnemonics.push(...readPrivateKeysFromFile(MNEMONIC_FILE));
+    }
+    const keystoreFiles = getKeystoreFiles();
+    if (fs.existsSync(VAULT_FILE) || keystoreFiles.length > 0) {
+      const passphrase = await getVaultPassphrase();
+      if (fs.existsSync(VAULT_FILE)) {
+        const vault = readVault(passphrase);
+        entries.push(...vault.privateKeys.map(privateKey => ({ privateKey, source: VAULT_FILE })));
+        mnemonics.push(...vault.mnemonics);
+        sources.push(`${vault.privateKeys.length} from ${VAULT_FILE}`);
+      }
+      let keystoreCount = 0;
+      for (const keystoreFile of keystoreFiles) {
+        try {
+          const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(keystoreFile, "utf8"), passphrase);
+          entries.push({ privateKey: wallet.privateKey, source: keystoreFile });
+          keystoreCount++;
+        } catch (error) {
+          addLog(`Failed to decrypt keystore ${keystoreFile}: ${error.message}`, "error");
         }
-      }, 100);
+      }
+      if (keystoreFiles.length > 0) {
+        sources.push(`${keystoreCount} from ${KEYSTORE_DIR}/`);
+      }
+    }
+    for (const [mnemonicIndex, phrase] of mnemonics.entries()) {
+      try {
+        const derivedKeys = deriveMnemonicKeys(phrase, dailyActivityConfig.derivationPaths);
+        entries.push(...derivedKeys);
+        sources.push(`${derivedKeys.length} derived from mnemonic #${mnemonicIndex + 1}`);
+      } catch (error) {
+        addLog(`Failed to derive accounts from mnemonic #${mnemonicIndex + 1}: ${error.message}`, "error");
+      }
+    }
+    const seenKeys = new Set();
+    accounts = entries.filter(({ privateKey }) => {
+      const normalizedKey = privateKey.toLowerCase().replace(/^0x/, "");
+      if (seenKeys.has(normalizedKey)) return false;
+      seenKeys.add(normalizedKey);
+      return true;
+    }).map(entry => {
+      try {
+        return { ...entry, address: new ethers.Wallet(entry.privateKey).address };
+      } catch (error) {
+        return { ...entry, address: null };
+      }
     });
+    if (accounts.length === 0) {
+      throw new Error(`No private keys found in ${PK_FILE}, ${MNEMONIC_FILE}, ${VAULT_FILE} or ${KEYSTORE_DIR}/`);
+    }
+    addLog(`Loaded ${accounts.length} accounts (${sources.join(", ")})`, "success");
   } catch (error) {
-    addLog(`Sleep error: ${error.message}`, "error");
-  } finally {
-    activeProcesses = Math.max(0, activeProcesses - 1);
+    addLog(`Failed to load accounts: ${error.message}`, "error");
+    accounts = [];
   }
 }
 
-async function updateWalletData() {
-  const erc20Abi = ["function balanceOf(address) view returns (uint256)", "function decimals() view returns (uint8)"];
-  const walletDataPromises = accounts.map(async (account, i) => {
-    try {
-      const proxyUrl = proxies[i % proxies.length] || null;
-      const provider = getProvider(proxyUrl);
-      if (!provider) {
-        throw new Error("Provider initialization failed");
+async function importKeys(options) {
+  const privateKeys = [];
+  const mnemonics = [];
+  if (fs.existsSync(PK_FILE)) {
+    for (const privateKey of readPrivateKeysFromFile(PK_FILE)) {
+      try {
+        privateKeys.push(new ethers.Wallet(privateKey).privateKey);
+      } catch (error) {
+        addLog(`Skipping invalid private key in ${PK_FILE}: ${error.message}`, "error");
       }
-      const wallet = new ethers.Wallet(account.privateKey, provider);
-
-      const polBalance = await provider.getBalance(wallet.address);
-      const formattedPOL = Number(ethers.formatEther(polBalance)).toFixed(4);
-
-      const wpolContract = new ethers.Contract(WPOL_ADDRESS, erc20Abi, provider);
-      const wpolBalance = await wpolContract.balanceOf(wallet.address);
-      const formattedWPOL = Number(ethers.formatEther(wpolBalance)).toFixed(4);
-
-      const tpolContract = new ethers.Contract(TPOL_ADDRESS, erc20Abi, provider);
-      const tpolBalance = await tpolContract.balanceOf(wallet.address);
-      const formattedTPOL = Number(ethers.formatEther(tpolBalance)).toFixed(4);
-
-      const formattedEntry = `${i === selectedWalletIndex ? "→ " : "  "}${chalk.bold.magentaBright(getShortAddress(wallet.address))}    ${chalk.bold.cyanBright(formattedPOL.padEnd(6))}  ${chalk.bold.cyanBright(formattedWPOL.padEnd(6))}  ${chalk.bold.cyanBright(formattedTPOL.padEnd(6))}`;
-
-      if (i === selectedWalletIndex) {
-        walletInfo.address = wallet.address;
-        walletInfo.activeAccount = `Account ${i + 1}`;
-        walletInfo.balancePOL = formattedPOL;
-        walletInfo.balanceWPOL = formattedWPOL;
-        walletInfo.balanceTPOL = formattedTPOL;
+    }
+  }
+  if (fs.existsSync(MNEMONIC_FILE)) {
+    for (const phrase of readPrivateKeysFromFile(MNEMONIC_FILE)) {
+      if (ethers.Mnemonic.isValidMnemonic(phrase)) {
+        mnemonics.push(phrase);
+      } else {
+        addLog(`Skipping invalid mnemonic in ${MNEMONIC_FILE}.`, "error");
       }
-      return formattedEntry;
+    }
+  }
+  const { funderKeyFile } = dailyActivityConfig.gasTopUp;
+  let funderKey = null;
+  if (fs.existsSync(funderKeyFile)) {
+    try {
+      funderKey = new ethers.Wallet(readPrivateKeysFromFile(funderKeyFile)[0]).privateKey;
     } catch (error) {
-      addLog(`Failed to fetch wallet data for account #${i + 1}: ${error.message}`, "error");
-      return `${i === selectedWalletIndex ? "→ " : "  "}N/A 0.000000 0.000000 0.000000`;
+      addLog(`Skipping invalid funder key in ${funderKeyFile}: ${error.message}`, "error");
     }
-  });
-  try {
-    const walletData = await Promise.all(walletDataPromises);
-    addLog("Wallet data updated.", "success");
-    return walletData;
-  } catch (error) {
-    addLog(`Wallet data update failed: ${error.message}`, "error");
-    return [];
   }
-}
+  if (privateKeys.length === 0 && mnemonics.length === 0 && !funderKey) {
+    addLog(`No valid private keys or mnemonics found in ${PK_FILE}, ${MNEMONIC_FILE} or ${funderKeyFile}.`, "error");
+    return 1;
+  }
 
-async function getNextNonce(provider, walletAddress) {
-  if (shouldStop) {
-    addLog("Nonce fetch stopped due to stop request.", "info");
-    throw new Error("Process stopped");
+  const format = options.flags.format || "vault";
+  if (format !== "vault" && format !== "keystore") {
+    addLog(`Unknown import format: ${format}. Use vault or keystore.`, "error");
+    return 2;
   }
-  if (!ethers.isAddress(walletAddress)) {
-    addLog(`Invalid wallet address: ${walletAddress}`, "error");
-    throw new Error("Invalid wallet address");
+  if (format === "keystore" && mnemonics.length > 0) {
+    addLog(`Mnemonics cannot be stored as keystores. Use --format=vault to import ${MNEMONIC_FILE}.`, "error");
+    return 2;
   }
+  let passphrase;
   try {
-    const nextNonce = BigInt(await provider.getTransactionCount(walletAddress, "pending"));
-    addLog(`Debug: Fetched fresh nonce ${nextNonce} for ${getShortAddress(walletAddress)} on chain ${TEAFI_CHAIN_ID}`, "debug");
-    return nextNonce;
+    passphrase = format === "vault" ? await getNewVaultPassphrase() : process.env[PASSPHRASE_ENV] || await getNewVaultPassphrase();
   } catch (error) {
-    addLog(`Failed to fetch nonce for ${getShortAddress(walletAddress)} on chain ${TEAFI_CHAIN_ID}: ${error.message}`, "error");
-    throw error;
+    addLog(error.message, "error");
+    return 1;
   }
-}
 
-async function getFeeParams(provider) {
   try {
-    const feeData = await provider.getFeeData();
-    let params = {};
-    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
-      params = {
-        maxFeePerGas: feeData.maxFeePerGas,
-        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas,
-        type: 2
-      };
+    if (format === "keystore") {
+      fs.mkdirSync(KEYSTORE_DIR, { recursive: true });
+      for (const privateKey of privateKeys) {
+        const wallet = new ethers.Wallet(privateKey);
+        const keystoreFile = path.join(KEYSTORE_DIR, `${wallet.address.toLowerCase()}.json`);
+        fs.writeFileSync(keystoreFile, await wallet.encrypt(passphrase), { mode: 0o600 });
+        addLog(`Wrote keystore ${keystoreFile}`, "success");
+      }
+      if (funderKey) {
+        fs.writeFileSync(FUNDER_KEYSTORE_FILE, await new ethers.Wallet(funderKey).encrypt(passphrase), { mode: 0o600 });
+        addLog(`Wrote funder keystore ${FUNDER_KEYSTORE_FILE}`, "success");
+      }
     } else {
-      params = {
-        gasPrice: feeData.gasPrice || ethers.parseUnits("1", "gwei"),
-        type: 0
+      const existing = fs.existsSync(VAULT_FILE) ? readVault(passphrase) : { privateKeys: [], mnemonics: [], funderKey: null };
+      const merged = {
+        privateKeys: [...new Set([...existing.privateKeys, ...privateKeys])],
+        mnemonics: [...new Set([...existing.mnemonics, ...mnemonics])],
+        funderKey: funderKey || existing.funderKey
       };
+      writeVault(merged, passphrase);
+      const verified = readVault(passphrase);
+      if (verified.privateKeys.length !== merged.privateKeys.length || verified.mnemonics.length !== merged.mnemonics.length || verified.funderKey !== merged.funderKey) {
+        addLog("Vault verification failed, plaintext files left untouched.", "error");
+        return 1;
+      }
+      addLog(`Imported ${privateKeys.length} keys and ${mnemonics.length} mnemonic(s)${funderKey ? " and the funder key" : ""} into ${VAULT_FILE} (${merged.privateKeys.length} keys, ${merged.mnemonics.length} mnemonic(s) total).`, "success");
     }
-    return params;
   } catch (error) {
-    addLog(`Failed to get fee data: ${error.message}. Using default.`, "debug");
-    return {
-      gasPrice: ethers.parseUnits("1", "gwei"),
-      type: 0
-    };
+    addLog(`Import failed, plaintext files left untouched: ${error.message}`, "error");
+    return 1;
+  }
+
+  for (const plaintextFile of [PK_FILE, MNEMONIC_FILE, ...(funderKey ? [funderKeyFile] : [])].filter(filePath => fs.existsSync(filePath))) {
+    const answer = options.flags.shred ? "y" : await promptTerminal(`Shred plaintext ${plaintextFile} now? (y/N): `);
+    if (answer && answer.trim().toLowerCase() === "y") {
+      shredFile(plaintextFile);
+      addLog(`${plaintextFile} shredded.`, "success");
+    } else {
+      addLog(`${plaintextFile} kept. Remove it manually once you have verified the import.`, "warn");
+    }
   }
+  return 0;
 }
 
-async function checkAndApproveToken(wallet, tokenAddress, spender, amountIn, provider, feeParams) {
-  const erc20Abi = ["function allowance(address owner, address spender) view returns (uint256)", "function approve(address spender, uint256 amount) returns (bool)"];
-  const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, wallet);
+async function generateWallets(options) {
+  const count = parseInt(options.flags.count || options.args[0]);
+  if (isNaN(count) || count <= 0) {
+    addLog("Invalid count. Usage: generate-wallets --count=<N> [--store=vault|pk]", "error");
+    return 2;
+  }
+  const store = options.flags.store || "vault";
+  if (store !== "vault" && store !== "pk") {
+    addLog(`Unknown store: ${store}. Use vault or pk.`, "error");
+    return 2;
+  }
+  const wallets = Array.from({ length: count }, () => ethers.Wallet.createRandom());
   try {
-    const allowance = await tokenContract.allowance(wallet.address, spender);
-    if (allowance < amountIn) {
-      addLog(`Approving Token Sent..`, "info");
-      const nonce = await getNextNonce(provider, wallet.address);
-      const approveTx = await tokenContract.approve(spender, ethers.MaxUint256, { ...feeParams, nonce });
-      await approveTx.wait();
-      addLog(`Approval successful: ${getShortHash(approveTx.hash)}`, "success");
-      return true;
+    if (store === "vault") {
+      const passphrase = await getNewVaultPassphrase();
+      const vault = fs.existsSync(VAULT_FILE) ? readVault(passphrase) : { privateKeys: [], mnemonics: [] };
+      vault.privateKeys.push(...wallets.map(wallet => wallet.privateKey));
+      writeVault(vault, passphrase);
+    } else {
+      const existing = fs.existsSync(PK_FILE) ? fs.readFileSync(PK_FILE, "utf8") : "";
+      const prefix = existing && !existing.endsWith("\n") ? "\n" : "";
+      fs.appendFileSync(PK_FILE, prefix + wallets.map(wallet => wallet.privateKey).join("\n") + "\n");
     }
-    return false;
   } catch (error) {
-    addLog(`Approval failed: ${error.message}`, "error");
-    throw error;
+    addLog(`Failed to store generated wallets: ${error.message}`, "error");
+    return 1;
   }
+  for (const wallet of wallets) {
+    addLog(`Generated wallet ${wallet.address}`, "success");
+  }
+  addLog(`Generated ${count} wallet(s) into ${store === "vault" ? VAULT_FILE : PK_FILE}.`, "success");
+  return 0;
 }
 
-const wrapInterface = new ethers.Interface([
-  "function wrap(uint256 amount, address recipient)",
-  "function unwrap(uint256 amount, address recipient)"
-]);
+function getValidRange(range) {
+  const min = Number(range?.min);
+  const max = Number(range?.max);
+  if (range == null || isNaN(min) || isNaN(max) || min <= 0 || min > max) return null;
+  return { min, max };
+}
 
-async function performSwap(wallet, direction, amount, proxyUrl) {
-  const provider = getProvider(proxyUrl);
-  if (!provider) {
-    throw new Error("Failed to get provider");
+function loadAccountSettings() {
+  accountSettings = new Map();
+  try {
+    if (!fs.existsSync(ACCOUNTS_FILE)) return true;
+    const entries = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf8"));
+    if (!Array.isArray(entries)) {
+      throw new Error(`${ACCOUNTS_FILE} must contain an array of accounts`);
+    }
+    for (const entry of entries) {
+      if (!entry || !ethers.isAddress(entry.address)) {
+        addLog(`Skipping ${ACCOUNTS_FILE} entry with invalid address: ${entry?.address}`, "error");
+        continue;
+      }
+      accountSettings.set(entry.address.toLowerCase(), entry);
+    }
+    addLog(`Loaded settings for ${accountSettings.size} accounts from ${ACCOUNTS_FILE}`, "success");
+    return true;
+  } catch (error) {
+    addLog(`Failed to load ${ACCOUNTS_FILE}: ${error.message}`, "error");
+    return false;
   }
-  wallet = wallet.connect(provider);
+}
 
-  const decimals = 18;
-  const amountIn = ethers.parseEther(amount.toString());
-  const address = wallet.address.toLowerCase();
+function getAccountConfig(accountIndex) {
+  const address = accounts[accountIndex]?.address;
+  const settings = (address && accountSettings.get(address.toLowerCase())) || {};
+  const swapRepetitions = Number(settings.swapRepetitions);
+  return {
+    label: settings.label || null,
+    proxyUrl: settings.proxy || proxies[accountIndex % proxies.length] || null,
+    enabled: settings.enabled !== false,
+    swapRepetitions: settings.swapRepetitions != null && Number.isInteger(swapRepetitions) && swapRepetitions >= 0 ? swapRepetitions : dailyActivityConfig.swapRepetitions,
+    wpolSwapRange: getValidRange(settings.wpolSwapRange) || dailyActivityConfig.wpolSwapRange,
+    tpolSwapRange: getValidRange(settings.tpolSwapRange) || dailyActivityConfig.tpolSwapRange,
+    checkIn: settings.checkIn !== false
+  };
+}
 
-  const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
-  const tokenContract = new ethers.Contract(direction.tokenIn, erc20Abi, provider);
-  try {
-    const tokenBalance = await tokenContract.balanceOf(address);
-    if (tokenBalance < amountIn) {
-      throw new Error(`Insufficient ${direction.from} balance: ${ethers.formatEther(tokenBalance)} < ${amount}`);
+function getAccountName(accountIndex) {
+  const { label } = getAccountConfig(accountIndex);
+  return label ? `Account ${accountIndex + 1} (${label})` : `Account ${accountIndex + 1}`;
+}
+
+function parseCsvBoolean(value) {
+  if (value === "") return undefined;
+  return !["false", "0", "no", "off"].includes(value.toLowerCase());
+}
+
+function importAccountsCsv(options) {
+  const csvFile = options.args[0];
+  if (!csvFile || !fs.existsSync(csvFile)) {
+    addLog(`CSV file not found: ${csvFile || "(none)"}. Usage: import-accounts <file.csv>`, "error");
+    return 2;
+  }
+  const lines = fs.readFileSync(csvFile, "utf8").split("\n").map(line => line.trim()).filter(line => line);
+  const header = lines.shift()?.split(",").map(column => column.trim()) || [];
+  if (!header.includes("address")) {
+    addLog(`CSV header must include an address column. Supported columns: ${ACCOUNT_CSV_COLUMNS.join(",")}`, "error");
+    return 2;
+  }
+  let entries = [];
+  if (fs.existsSync(ACCOUNTS_FILE)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf8"));
+      if (!Array.isArray(entries)) {
+        throw new Error("must contain an array of accounts");
+      }
+    } catch (error) {
+      addLog(`Failed to read ${ACCOUNTS_FILE}: ${error.message}. Fix or remove it first, nothing was imported.`, "error");
+      return 1;
+    }
+  }
+  let imported = 0;
+  for (const [lineIndex, line] of lines.entries()) {
+    const cells = line.split(",").map(cell => cell.trim());
+    const row = Object.fromEntries(header.map((column, columnIndex) => [column, cells[columnIndex] ?? ""]));
+    if (!ethers.isAddress(row.address)) {
+      addLog(`CSV line ${lineIndex + 2}: invalid address ${row.address}, skipped.`, "error");
+      continue;
+    }
+    const entry = { address: ethers.getAddress(row.address) };
+    if (row.label) entry.label = row.label;
+    if (row.proxy) entry.proxy = row.proxy;
+    if (parseCsvBoolean(row.enabled || "") !== undefined) entry.enabled = parseCsvBoolean(row.enabled);
+    if (row.swapRepetitions) entry.swapRepetitions = Number(row.swapRepetitions);
+    if (row.wpolMin && row.wpolMax) entry.wpolSwapRange = { min: Number(row.wpolMin), max: Number(row.wpolMax) };
+    if (row.tpolMin && row.tpolMax) entry.tpolSwapRange = { min: Number(row.tpolMin), max: Number(row.tpolMax) };
+    if (parseCsvBoolean(row.checkIn || "") !== undefined) entry.checkIn = parseCsvBoolean(row.checkIn);
+    const existingIndex = entries.findIndex(existing => existing.address?.toLowerCase() === entry.address.toLowerCase());
+    if (existingIndex === -1) {
+      entries.push(entry);
+    } else {
+      entries[existingIndex] = { ...entries[existingIndex], ...entry };
     }
+    imported++;
+  }
+  fs.writeFileSync(ACCOUNTS_FILE, JSON.stringify(entries, null, 2));
+  addLog(`Imported ${imported} account(s) from ${csvFile} into ${ACCOUNTS_FILE} (${entries.length} total).`, "success");
+  return 0;
+}
+
+function loadProxies() {
+  try {
+    if (fs.existsSync("proxy.txt")) {
+      const data = fs.readFileSync("proxy.txt", "utf8");
+      proxies = data.split("\n").map(proxy => proxy.trim()).filter(proxy => proxy);
+      if (proxies.length === 0) throw new Error("No proxy found in proxy.txt");
+      addLog(`Loaded ${proxies.length} proxies from proxy.txt`, "success");
+    } else {
+      addLog("No proxy.txt found, running without proxy.", "info");
+    }
+  } catch (error) {
+    addLog(`Failed to load proxy: ${error.message}`, "info");
+    proxies = [];
+  }
+}
+
+function createAgent(proxyUrl) {
+  if (!proxyUrl) return null;
+  if (proxyUrl.startsWith("socks")) {
+    return new SocksProxyAgent(proxyUrl);
+  } else {
+    return new HttpsProxyAgent(proxyUrl);
+  }
+}
+
+function initRpcPool() {
+  rpcEndpoints = dailyActivityConfig.rpc.urls.map(url => ({
+    url,
+    healthy: true,
+    latencyMs: null,
+    blockNumber: null,
+    blockLag: 0,
+    recentResults: [],
+    consecutiveFailures: 0,
+    lastError: null
+  }));
+  addLog(`RPC pool initialized with ${rpcEndpoints.length} endpoint(s).`, "info");
+}
+
+function getRpcErrorRate(endpoint) {
+  if (endpoint.recentResults.length === 0) return 0;
+  return endpoint.recentResults.filter(ok => !ok).length / endpoint.recentResults.length;
+}
+
+function updateRpcHealth(endpoint) {
+  const { maxBlockLag, maxErrorRate } = dailyActivityConfig.rpc;
+  const wasHealthy = endpoint.healthy;
+  endpoint.healthy = endpoint.blockLag <= maxBlockLag &&
+    endpoint.consecutiveFailures < 3 &&
+    !(endpoint.recentResults.length >= 5 && getRpcErrorRate(endpoint) > maxErrorRate);
+  if (wasHealthy && !endpoint.healthy) {
+    addLog(`RPC ${endpoint.url} marked unhealthy: ${endpoint.lastError || `block lag ${endpoint.blockLag}`}`, "warn");
+  } else if (!wasHealthy && endpoint.healthy) {
+    addLog(`RPC ${endpoint.url} is healthy again.`, "info");
+  }
+}
+
+function recordRpcResult(endpoint, ok, latencyMs, error) {
+  endpoint.recentResults.push(ok);
+  if (endpoint.recentResults.length > 20) endpoint.recentResults.shift();
+  if (ok) {
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+    endpoint.consecutiveFailures = 0;
+  } else {
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.shortMessage || error.message;
+  }
+  updateRpcHealth(endpoint);
+}
+
+function getRpcCandidates() {
+  if (rpcEndpoints.length === 0) initRpcPool();
+  const healthy = rpcEndpoints.filter(endpoint => endpoint.healthy);
+  const unhealthy = rpcEndpoints.filter(endpoint => !endpoint.healthy).sort((a, b) => getRpcErrorRate(a) - getRpcErrorRate(b));
+  return [...healthy, ...unhealthy];
+}
+
+function getSharedProxyUrl() {
+  return dailyActivityConfig.rpc.sharedProxy || proxies[0] || null;
+}
+
+function getRpcGetUrlFunc(proxyUrl) {
+  if (!proxyUrl) return null;
+  if (!rpcGetUrlFuncs.has(proxyUrl)) {
+    rpcGetUrlFuncs.set(proxyUrl, ethers.FetchRequest.createGetUrlFunc({ agent: createAgent(proxyUrl) }));
+  }
+  return rpcGetUrlFuncs.get(proxyUrl);
+}
+
+function createRpcRequest(url, payload, proxyUrl = null) {
+  const request = new ethers.FetchRequest(url);
+  if (payload) {
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+  }
+  request.timeout = dailyActivityConfig.rpc.timeoutMs;
+  request.setThrottleParams({ maxAttempts: 1 });
+  const getUrlFunc = getRpcGetUrlFunc(proxyUrl);
+  if (getUrlFunc) {
+    request.getUrlFunc = getUrlFunc;
+  }
+  return request;
+}
+
+async function checkRpcHealth(verbose = true) {
+  if (rpcEndpoints.length === 0) initRpcPool();
+  await Promise.all(rpcEndpoints.map(async (endpoint) => {
+    const startTime = Date.now();
+    try {
+      const response = await createRpcRequest(endpoint.url, { id: 1, jsonrpc: "2.0", method: "eth_blockNumber", params: [] }, getSharedProxyUrl()).send();
+      response.assertOk();
+      if (response.bodyJson.error) {
+        throw new Error(response.bodyJson.error.message);
+      }
+      endpoint.blockNumber = Number(response.bodyJson.result);
+      recordRpcResult(endpoint, true, Date.now() - startTime);
+    } catch (error) {
+      endpoint.blockNumber = null;
+      recordRpcResult(endpoint, false, Date.now() - startTime, error);
+    }
+  }));
+  const highestBlock = Math.max(0, ...rpcEndpoints.map(endpoint => endpoint.blockNumber || 0));
+  for (const endpoint of rpcEndpoints) {
+    endpoint.blockLag = endpoint.blockNumber === null ? Infinity : highestBlock - endpoint.blockNumber;
+    updateRpcHealth(endpoint);
+  }
+  if (!verbose) return;
+  for (const endpoint of rpcEndpoints) {
+    addLog(`RPC ${endpoint.url}: ${endpoint.healthy ? "healthy" : "unhealthy"} | Latency ${endpoint.latencyMs === null ? "N/A" : `${endpoint.latencyMs}ms`} | Block lag ${endpoint.blockLag} | Error rate ${(getRpcErrorRate(endpoint) * 100).toFixed(0)}%`, endpoint.healthy ? "info" : "warn");
+  }
+}
+
+class PooledJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(proxyUrl) {
+    super(getRpcCandidates()[0].url, { chainId: TEAFI_CHAIN_ID, name: "Polygon" }, { staticNetwork: true });
+    this.proxyUrl = proxyUrl;
+    this.failovers = 0;
+  }
+
+  async _send(payload) {
+    let lastError;
+    for (const endpoint of getRpcCandidates()) {
+      const startTime = Date.now();
+      try {
+        const response = await createRpcRequest(endpoint.url, payload, this.proxyUrl).send();
+        response.assertOk();
+        recordRpcResult(endpoint, true, Date.now() - startTime);
+        const { accountIndex } = getLogContext();
+        if (accountIndex) {
+          if (!rpcUsageByAccount.has(accountIndex)) rpcUsageByAccount.set(accountIndex, new Set());
+          rpcUsageByAccount.get(accountIndex).add(endpoint.url);
+        }
+        const result = response.bodyJson;
+        return Array.isArray(result) ? result : [result];
+      } catch (error) {
+        recordRpcResult(endpoint, false, Date.now() - startTime, error);
+        addLog(`RPC ${endpoint.url} failed: ${error.shortMessage || error.message}. Failing over.`, "warn");
+        this.failovers++;
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+function getProvider(proxyUrl) {
+  try {
+    return new PooledJsonRpcProvider(proxyUrl);
+  } catch (error) {
+    addLog(`Failed to initialize provider for chain ${TEAFI_CHAIN_ID}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+async function getEgressIpViaRpcPath(proxyUrl) {
+  const response = await createRpcRequest(IP_ECHO_URL, null, proxyUrl).send();
+  response.assertOk();
+  return response.bodyJson.ip;
+}
+
+async function getEgressIpViaApiPath(proxyUrl) {
+  const response = await axios.get(IP_ECHO_URL, { httpsAgent: createAgent(proxyUrl), timeout: dailyActivityConfig.rpc.timeoutMs });
+  return response.data.ip;
+}
+
+async function runProxySelfTest() {
+  const accountProxies = accounts.map((_, i) => getAccountConfig(i)).filter(accountConfig => accountConfig.enabled && accountConfig.proxyUrl).map(accountConfig => accountConfig.proxyUrl);
+  const uniqueProxies = [...new Set([...accountProxies, getSharedProxyUrl()].filter(Boolean))];
+  if (uniqueProxies.length === 0) return true;
+  addLog(`Running proxy self-test for ${uniqueProxies.length} proxy(ies)...`, "wait");
+  let hostIp = null;
+  try {
+    hostIp = await getEgressIpViaApiPath(null);
+  } catch (error) {
+    addLog(`Proxy self-test: could not determine host IP: ${error.message}`, "warn");
+  }
+  const results = await Promise.all(uniqueProxies.map(async (proxyUrl) => {
+    try {
+      const [rpcIp, apiIp] = await Promise.all([getEgressIpViaRpcPath(proxyUrl), getEgressIpViaApiPath(proxyUrl)]);
+      if (rpcIp !== apiIp) {
+        addLog(`Proxy self-test failed for ${proxyUrl}: RPC egress ${rpcIp} does not match API egress ${apiIp}`, "error");
+        return false;
+      }
+      if (hostIp && rpcIp === hostIp) {
+        addLog(`Proxy self-test failed for ${proxyUrl}: egress ${rpcIp} is the host IP`, "error");
+        return false;
+      }
+      addLog(`Proxy self-test passed for ${proxyUrl}: egress ${rpcIp}`, "success");
+      return true;
+    } catch (error) {
+      addLog(`Proxy self-test failed for ${proxyUrl}: ${error.shortMessage || error.message}`, "error");
+      return false;
+    }
+  }));
+  return results.every(passed => passed);
+}
+
+async function sleep(ms) {
+  if (isStopRequested()) return;
+  const signals = [shutdownController.signal, currentJob?.controller.signal].filter(Boolean);
+  await new Promise((resolve) => {
+    const finish = () => {
+      clearTimeout(timeout);
+      signals.forEach(signal => signal.removeEventListener("abort", finish));
+      resolve();
+    };
+    const timeout = setTimeout(finish, ms);
+    signals.forEach(signal => signal.addEventListener("abort", finish, { once: true }));
+  });
+}
+
+async function getWalletBalances(privateKey, proxyUrl) {
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)", "function decimals() view returns (uint8)"];
+  const provider = getProvider(proxyUrl);
+  if (!provider) {
+    throw new Error("Provider initialization failed");
+  }
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  const polBalance = await provider.getBalance(wallet.address);
+  const formattedPOL = Number(ethers.formatEther(polBalance)).toFixed(4);
+
+  const wpolContract = new ethers.Contract(WPOL_ADDRESS, erc20Abi, provider);
+  const wpolBalance = await wpolContract.balanceOf(wallet.address);
+  const formattedWPOL = Number(ethers.formatEther(wpolBalance)).toFixed(4);
+
+  const tpolContract = new ethers.Contract(TPOL_ADDRESS, erc20Abi, provider);
+  const tpolBalance = await tpolContract.balanceOf(wallet.address);
+  const formattedTPOL = Number(ethers.formatEther(tpolBalance)).toFixed(4);
+
+  return { address: wallet.address, formattedPOL, formattedWPOL, formattedTPOL };
+}
+
+async function updateWalletData() {
+  const walletDataPromises = accounts.map(async (account, i) => {
+    try {
+      const accountConfig = getAccountConfig(i);
+      const { address, formattedPOL, formattedWPOL, formattedTPOL } = await getWalletBalances(account.privateKey, accountConfig.proxyUrl);
+      const wallet = { address };
+      const displayName = accountConfig.label ? accountConfig.label.slice(0, 13).padEnd(13) : getShortAddress(wallet.address);
+
+      let formattedEntry = `${activeAccounts.has(i) ? "→ " : "  "}${chalk.bold.magentaBright(displayName)}    ${chalk.bold.cyanBright(formattedPOL.padEnd(6))}  ${chalk.bold.cyanBright(formattedWPOL.padEnd(6))}  ${chalk.bold.cyanBright(formattedTPOL.padEnd(6))}`;
+      if (dailyActivityConfig.accountQueue.enabled) {
+        formattedEntry += `  ${chalk.bold.yellow(formatEligibleTime(eligibilityByAccount.get(i)?.nextEligibleAt))}`;
+      }
+      if (!accountConfig.enabled) {
+        formattedEntry = chalk.gray(`${stripVTControlCharacters(formattedEntry)} (disabled)`);
+      }
+
+      if (i === (activeAccounts.size > 0 ? Math.min(...activeAccounts) : 0)) {
+        walletInfo.address = wallet.address;
+        walletInfo.activeAccount = getAccountName(i);
+        walletInfo.balancePOL = formattedPOL;
+        walletInfo.balanceWPOL = formattedWPOL;
+        walletInfo.balanceTPOL = formattedTPOL;
+      }
+      return formattedEntry;
+    } catch (error) {
+      addLog(`Failed to fetch wallet data for account #${i + 1}: ${error.message}`, "error");
+      return `${activeAccounts.has(i) ? "→ " : "  "}N/A 0.000000 0.000000 0.000000`;
+    }
+  });
+  try {
+    const walletData = await Promise.all(walletDataPromises);
+    addLog("Wallet data updated.", "success");
+    return walletData;
+  } catch (error) {
+    addLog(`Wallet data update failed: ${error.message}`, "error");
+    return [];
+  }
+}
+
+function getReceiptGas(receipt, fallbackGasPrice) {
+  const gasUsed = BigInt(receipt.gasUsed);
+  const effectiveGasPrice = receipt.gasPrice ? BigInt(receipt.gasPrice) : fallbackGasPrice;
+  return {
+    gasUsed: gasUsed.toString(),
+    effectiveGasPrice: effectiveGasPrice ? effectiveGasPrice.toString() : null,
+    gasCost: effectiveGasPrice ? ethers.formatEther(gasUsed * effectiveGasPrice) : null
+  };
+}
+
+function recordLedger(entry) {
+  const record = Object.fromEntries(LEDGER_FIELDS.map(field => [field, null]));
+  Object.assign(record, {
+    timestamp: new Date().toISOString(),
+    accountIndex: getLogContext().accountIndex ?? null,
+    address: getLogContext().address ?? null
+  }, entry);
+  try {
+    fs.appendFileSync(LEDGER_FILE, JSON.stringify(record) + "\n");
+  } catch (error) {
+    addLog(`Failed to write ledger record: ${error.message}`, "error");
+  }
+}
+
+function recordLedgerUpdate(txHash, changes) {
+  recordLedger({ type: "status-update", txHash, changes });
+}
+
+function getFailedLedgerStatus(error) {
+  if (error.receipt) return "reverted";
+  return error.code === "TX_TIMEOUT" ? "pending" : "failed";
+}
+
+function readLedger() {
+  if (!fs.existsSync(LEDGER_FILE)) return [];
+  const records = [];
+  const recordsByHash = new Map();
+  for (const line of fs.readFileSync(LEDGER_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    const target = recordsByHash.get(record.txHash?.toLowerCase());
+    if (record.type === "status-update") {
+      if (!target) continue;
+      Object.assign(target, record.changes);
+      if (record.changes?.txHash) recordsByHash.set(record.changes.txHash.toLowerCase(), target);
+      continue;
+    }
+    if (record.type === "report" && target) {
+      target.reported = record.status === "success";
+      if (target.reported) target.pointsAmount = record.pointsAmount;
+      continue;
+    }
+    if (record.type === "report" && record.status !== "success") continue;
+    records.push(record);
+    if (record.txHash && record.type !== "report") recordsByHash.set(record.txHash.toLowerCase(), record);
+  }
+  return records;
+}
+
+function parseDateFlag(value, endOfDay) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function queryLedger(options) {
+  let from, to;
+  try {
+    from = parseDateFlag(options.flags.from, false);
+    to = parseDateFlag(options.flags.to, true);
+  } catch (error) {
+    addLog(error.message, "error");
+    return 2;
+  }
+  const accountFilter = options.flags.account ? String(options.flags.account).toLowerCase() : null;
+  const format = options.flags.format || "csv";
+  if (!["csv", "json", "summary"].includes(format)) {
+    addLog(`Unknown ledger format: ${format}. Use csv, json or summary.`, "error");
+    return 2;
+  }
+  const records = readLedger().filter(record => {
+    const timestamp = new Date(record.timestamp);
+    if (from && timestamp < from) return false;
+    if (to && timestamp > to) return false;
+    if (options.flags.type && record.type !== options.flags.type) return false;
+    if (accountFilter && String(record.accountIndex) !== accountFilter && record.address?.toLowerCase() !== accountFilter) return false;
+    return true;
+  });
+
+  let output;
+  if (format === "json") {
+    output = JSON.stringify(records, null, 2);
+  } else if (format === "csv") {
+    output = [LEDGER_FIELDS.join(","), ...records.map(record => LEDGER_FIELDS.map(field => toCsvValue(record[field])).join(","))].join("\n");
+  } else {
+    const totals = new Map();
+    for (const record of records) {
+      const key = record.address || "unknown";
+      const total = totals.get(key) || { accountIndex: record.accountIndex, swaps: 0, failed: 0, gasCost: 0, points: 0, checkInPoints: 0 };
+      if (record.type === "swap") total.swaps++;
+      if (record.status === "failed" || record.status === "reverted") total.failed++;
+      total.gasCost += Number(record.gasCost || 0);
+      total.points += Number(record.pointsAmount || 0);
+      total.checkInPoints += Number(record.checkInPoints || 0);
+      totals.set(key, total);
+    }
+    output = ["accountIndex,address,swaps,failed,gasCostPOL,points,checkInPoints", ...[...totals.entries()].map(([address, total]) =>
+      [total.accountIndex, address, total.swaps, total.failed, total.gasCost.toFixed(6), total.points, total.checkInPoints].map(toCsvValue).join(",")
+    )].join("\n");
+  }
+  if (options.flags.output) {
+    fs.writeFileSync(options.flags.output, output + "\n");
+    addLog(`Exported ${records.length} ledger record(s) to ${options.flags.output}`, "success");
+  } else {
+    console.log(output);
+  }
+  return 0;
+}
+
+function loadReportOutbox() {
+  reportedHashes = new Set(readLedger().filter(record => record.reported === true || (record.type === "report" && record.status === "success")).map(record => record.txHash?.toLowerCase()));
+  try {
+    reportOutbox = fs.existsSync(OUTBOX_FILE) ? JSON.parse(fs.readFileSync(OUTBOX_FILE, "utf8")) : {};
+  } catch (error) {
+    addLog(`Failed to load report outbox: ${error.message}`, "error");
+    reportOutbox = {};
+  }
+  let hadProxyUrls = false;
+  for (const [hash, entry] of Object.entries(reportOutbox)) {
+    if (reportedHashes.has(hash)) {
+      delete reportOutbox[hash];
+    } else if ("proxyUrl" in entry) {
+      delete entry.proxyUrl;
+      hadProxyUrls = true;
+    }
+  }
+  if (hadProxyUrls) {
+    saveReportOutbox();
+  }
+  const pending = getPendingReportCount();
+  if (pending > 0) {
+    addLog(`${pending} Tea-Fi report(s) pending in ${OUTBOX_FILE}.`, "warn");
+  }
+}
+
+function saveReportOutbox() {
+  try {
+    const tempFile = `${OUTBOX_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(reportOutbox, null, 2));
+    fs.renameSync(tempFile, OUTBOX_FILE);
+  } catch (error) {
+    addLog(`Failed to save report outbox: ${error.message}`, "error");
+  }
+}
+
+function getPendingReportCount() {
+  return Object.values(reportOutbox).filter(entry => !entry.abandoned).length;
+}
+
+async function sendTransactionReport(postData, proxyUrl) {
+  const postResponse = await axios.post(TRANSACTION_API_URL, postData, { headers: Headers, httpsAgent: createAgent(proxyUrl) });
+  reportedHashes.add(postData.hash);
+  const pointsAmount = postResponse.data.pointsAmount ?? null;
+  recordLedger({ type: "report", txHash: postData.hash, direction: `${postData.fromTokenSymbol}->${postData.toTokenSymbol}`, status: "success", pointsAmount, reported: true });
+  addLog(`Transaction reported successfully: Points ${postResponse.data.pointsAmount}`, "success", { txHash: postData.hash });
+  return postResponse.data;
+}
+
+async function reportTransaction(postData, proxyUrl) {
+  if (reportedHashes.has(postData.hash)) {
+    addLog(`Transaction ${getShortHash(postData.hash)} already reported, skipping.`, "info", { txHash: postData.hash });
+    return;
+  }
+  try {
+    await sendTransactionReport(postData, proxyUrl);
+    if (reportOutbox[postData.hash]) {
+      delete reportOutbox[postData.hash];
+      saveReportOutbox();
+    }
+  } catch (error) {
+    recordLedger({ type: "report", txHash: postData.hash, direction: `${postData.fromTokenSymbol}->${postData.toTokenSymbol}`, status: "failed", reported: false, error: error.message });
+    addLog(`Failed to report transaction: ${error.message}. Queued for retry.`, "error", { txHash: postData.hash });
+    if (error.response) {
+      addLog(`Transaction report error: ${JSON.stringify(error.response.data)}`, "error");
+    }
+    reportOutbox[postData.hash] = {
+      postData,
+      accountIndex: getLogContext().accountIndex ?? null,
+      createdAt: new Date().toISOString(),
+      attempts: 1,
+      nextAttemptAt: Date.now() + dailyActivityConfig.reportRetry.baseDelaySec * 1000,
+      lastError: error.message,
+      abandoned: false
+    };
+    saveReportOutbox();
+  }
+}
+
+async function processReportOutbox(force = false) {
+  if (isProcessingOutbox || isDryRun) return;
+  isProcessingOutbox = true;
+  try {
+    const { baseDelaySec, maxDelaySec, maxAttempts } = dailyActivityConfig.reportRetry;
+    for (const [hash, entry] of Object.entries(reportOutbox)) {
+      if (entry.abandoned || (!force && entry.nextAttemptAt > Date.now())) continue;
+      if (reportedHashes.has(hash)) {
+        delete reportOutbox[hash];
+        saveReportOutbox();
+        continue;
+      }
+      if (!accounts.some(account => account.address?.toLowerCase() === entry.postData.walletAddress?.toLowerCase())) {
+        if (force) {
+          addLog(`Report for ${getShortHash(hash)} kept: account ${getShortAddress(entry.postData.walletAddress)} is not loaded, so its proxy is unknown.`, "warn", { txHash: hash });
+        }
+        continue;
+      }
+      try {
+        await sendTransactionReport(entry.postData, getAccountProxyUrl(entry.accountIndex - 1, entry.postData.walletAddress));
+        delete reportOutbox[hash];
+      } catch (error) {
+        entry.attempts++;
+        entry.lastError = error.message;
+        entry.nextAttemptAt = Date.now() + Math.min(baseDelaySec * 2 ** (entry.attempts - 1), maxDelaySec) * 1000;
+        if (entry.attempts >= maxAttempts) {
+          entry.abandoned = true;
+          addLog(`Giving up on report for ${getShortHash(hash)} after ${entry.attempts} attempts: ${error.message}`, "error", { txHash: hash });
+        } else {
+          addLog(`Report retry ${entry.attempts}/${maxAttempts} failed for ${getShortHash(hash)}: ${error.message}`, "warn", { txHash: hash });
+        }
+      }
+      saveReportOutbox();
+    }
+  } finally {
+    isProcessingOutbox = false;
+  }
+}
+
+function startReportOutbox() {
+  loadReportOutbox();
+  processReportOutbox();
+  if (!outboxInterval) {
+    outboxInterval = setInterval(processReportOutbox, 15000);
+  }
+}
+
+async function retryReports() {
+  await processReportOutbox(true);
+  const pending = getPendingReportCount();
+  addLog(`${pending} report(s) still pending.`, pending > 0 ? "warn" : "success");
+  return pending > 0 ? 1 : 0;
+}
+
+function loadPendingTxJournal() {
+  try {
+    pendingTxJournal = fs.existsSync(PENDING_TX_FILE) ? JSON.parse(fs.readFileSync(PENDING_TX_FILE, "utf8")) : {};
+  } catch (error) {
+    addLog(`Failed to load pending transaction journal: ${error.message}`, "error");
+    pendingTxJournal = {};
+  }
+  const cutoff = Date.now() - PENDING_TX_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [hash, entry] of Object.entries(pendingTxJournal)) {
+    if (isPendingTxFinal(entry) && new Date(entry.updatedAt).getTime() < cutoff) delete pendingTxJournal[hash];
+  }
+}
+
+function savePendingTxJournal() {
+  try {
+    const tempFile = `${PENDING_TX_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(pendingTxJournal, null, 2));
+    fs.renameSync(tempFile, PENDING_TX_FILE);
+  } catch (error) {
+    addLog(`Failed to save pending transaction journal: ${error.message}`, "error");
+  }
+}
+
+function isPendingTxFinal(entry) {
+  return entry.status !== "pending" && (entry.status !== "mined" || !entry.report || entry.reported);
+}
+
+function journalPendingTx(hash, entry) {
+  pendingTxJournal[hash] = { ...entry, hash, hashes: [hash], cancelHash: null, status: "pending", reported: false, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+  savePendingTxJournal();
+}
+
+function updatePendingTx(hash, changes) {
+  const entry = pendingTxJournal[hash];
+  if (!entry) return;
+  Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+  savePendingTxJournal();
+}
+
+async function signTransaction(wallet, txParams) {
+  const signedTx = await wallet.signTransaction(await wallet.populateTransaction(txParams));
+  return { signedTx, hash: ethers.Transaction.from(signedTx).hash };
+}
+
+async function sendJournaledTransaction(wallet, provider, txParams, journal) {
+  const { signedTx, hash } = await signTransaction(wallet, txParams);
+  journalPendingTx(hash, {
+    ...journal,
+    nonce: Number(txParams.nonce),
+    accountIndex: getLogContext().accountIndex ?? null,
+    address: wallet.address
+  });
+  const failoversBefore = provider.failovers;
+  try {
+    await provider.broadcastTransaction(signedTx);
+  } catch (error) {
+    if (isBroadcastRejected(error) && provider.failovers === failoversBefore) {
+      updatePendingTx(hash, { status: "failed" });
+    } else {
+      addLog(`Broadcast of ${getShortHash(hash)} failed without a clear rejection (${error.shortMessage || error.message}); left in ${PENDING_TX_FILE} for reconciliation on next start.`, "warn", { txHash: hash });
+    }
+    throw error;
+  }
+  return hash;
+}
+
+function isBroadcastRejected(error) {
+  return ["INSUFFICIENT_FUNDS", "REPLACEMENT_UNDERPRICED"].includes(error.code);
+}
+
+function getMinedJournalChanges(entry, receipt) {
+  return {
+    status: receipt.status === 0 ? "reverted" : "mined",
+    minedHash: receipt.hash,
+    postData: entry?.postData ? { ...entry.postData, hash: receipt.hash.toLowerCase(), gasFeeAmount: (receipt.gasUsed * receipt.gasPrice).toString() } : null
+  };
+}
+
+function getAccountProxyUrl(accountIndex, address) {
+  const matches = account => account.address?.toLowerCase() === address?.toLowerCase();
+  const index = accounts[accountIndex] && matches(accounts[accountIndex]) ? accountIndex : accounts.findIndex(matches);
+  return index >= 0 ? getAccountConfig(index).proxyUrl : null;
+}
+
+async function reconcilePendingTransactions() {
+  const pending = Object.values(pendingTxJournal).filter(entry => !isPendingTxFinal(entry));
+  if (pending.length === 0) return;
+  addLog(`Reconciling ${pending.length} unfinished transaction(s) from ${PENDING_TX_FILE}...`, "wait");
+  const ledgerHashes = new Set(readLedger().map(record => record.txHash?.toLowerCase()));
+  for (const entry of pending) {
+    logContext = { accountIndex: entry.accountIndex, address: entry.address };
+    try {
+      const proxyUrl = getAccountProxyUrl(entry.accountIndex - 1, entry.address);
+      const provider = getProvider(proxyUrl);
+      if (entry.status === "pending") {
+        let receipt = null;
+        for (const hash of entry.hashes) {
+          const candidate = await provider.getTransactionReceipt(hash);
+          if (candidate?.blockNumber) {
+            receipt = candidate;
+            break;
+          }
+        }
+        if (receipt) {
+          if (receipt.hash === entry.cancelHash) {
+            updatePendingTx(entry.hash, { status: "cancelled", minedHash: receipt.hash });
+            addLog(`${getShortHash(entry.hash)}: cancelled by self-transfer ${getShortHash(receipt.hash)}`, "warn", { txHash: receipt.hash });
+            continue;
+          }
+          const { status } = getMinedJournalChanges(entry, receipt);
+          const ledgerChanges = { txHash: receipt.hash, ...getReceiptGas(receipt, receipt.gasPrice), status: status === "mined" ? "success" : "reverted", error: null };
+          const ledgerHash = entry.hashes.find(hash => ledgerHashes.has(hash.toLowerCase()));
+          if (ledgerHash) {
+            recordLedgerUpdate(ledgerHash, ledgerChanges);
+          } else {
+            recordLedger({ type: entry.type, token: entry.token ?? null, direction: entry.direction, amountIn: entry.amountIn, ...ledgerChanges });
+          }
+          updatePendingTx(entry.hash, getMinedJournalChanges(entry, receipt));
+          addLog(`${getShortHash(entry.hash)}: ${status}${receipt.hash !== entry.hash ? ` as ${getShortHash(receipt.hash)}` : ""} in block ${receipt.blockNumber}`, status === "mined" ? "success" : "error", { txHash: receipt.hash });
+        } else {
+          const confirmedNonce = await provider.getTransactionCount(entry.address, "latest");
+          if (confirmedNonce > entry.nonce) {
+            updatePendingTx(entry.hash, { status: "replaced" });
+            addLog(`${getShortHash(entry.hash)}: nonce ${entry.nonce} was used by another transaction, marked replaced.`, "warn", { txHash: entry.hash });
+            continue;
+          }
+          const known = await Promise.all(entry.hashes.map(hash => provider.getTransaction(hash)));
+          if (known.every(tx => !tx)) {
+            updatePendingTx(entry.hash, { status: "dropped" });
+            addLog(`${getShortHash(entry.hash)}: not found on chain or in the mempool, marked dropped.`, "warn", { txHash: entry.hash });
+          } else {
+            addLog(`${getShortHash(entry.hash)}: still pending with nonce ${entry.nonce}.`, "info", { txHash: entry.hash });
+          }
+          continue;
+        }
+      }
+      const minedEntry = pendingTxJournal[entry.hash];
+      if (minedEntry.status === "mined" && minedEntry.report && !minedEntry.reported) {
+        if (!reportedHashes.has(minedEntry.postData.hash) && !reportOutbox[minedEntry.postData.hash]) {
+          await reportTransaction(minedEntry.postData, proxyUrl);
+        }
+        updatePendingTx(entry.hash, { reported: true });
+      }
+    } catch (error) {
+      addLog(`Failed to reconcile ${getShortHash(entry.hash)}: ${error.message}`, "error");
+    }
+  }
+  logContext = {};
+}
+
+async function getNextNonce(provider, walletAddress) {
+  if (isStopRequested()) {
+    addLog("Nonce fetch stopped due to stop request.", "info");
+    throw new Error("Process stopped");
+  }
+  if (!ethers.isAddress(walletAddress)) {
+    addLog(`Invalid wallet address: ${walletAddress}`, "error");
+    throw new Error("Invalid wallet address");
+  }
+  try {
+    const nextNonce = BigInt(await provider.getTransactionCount(walletAddress, "pending"));
+    addLog(`Debug: Fetched fresh nonce ${nextNonce} for ${getShortAddress(walletAddress)} on chain ${TEAFI_CHAIN_ID}`, "debug");
+    return nextNonce;
+  } catch (error) {
+    addLog(`Failed to fetch nonce for ${getShortAddress(walletAddress)} on chain ${TEAFI_CHAIN_ID}: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+function getGasCeiling() {
+  const { maxFeePerGasGwei } = dailyActivityConfig.gasPolicy;
+  return maxFeePerGasGwei > 0 ? ethers.parseUnits(String(maxFeePerGasGwei), "gwei") : null;
+}
+
+function formatGwei(value) {
+  return Number(ethers.formatUnits(value, "gwei")).toFixed(1);
+}
+
+async function readFeeParams(provider) {
+  try {
+    const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock("latest")]);
+    let params = {};
+    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+      const multiplier = BigInt(Math.round(dailyActivityConfig.gasPolicy.priorityFeeMultiplier * 1000));
+      const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas * multiplier / 1000n;
+      params = {
+        maxFeePerGas: feeData.maxFeePerGas - feeData.maxPriorityFeePerGas + maxPriorityFeePerGas,
+        maxPriorityFeePerGas,
+        type: 2
+      };
+    } else {
+      params = {
+        gasPrice: feeData.gasPrice || ethers.parseUnits("1", "gwei"),
+        type: 0
+      };
+    }
+    const baseFee = block?.baseFeePerGas ?? null;
+    currentGasInfo = {
+      feeGwei: formatGwei(params.maxFeePerGas || params.gasPrice),
+      baseFeeGwei: baseFee === null ? null : formatGwei(baseFee)
+    };
+    return { params, baseFee };
+  } catch (error) {
+    addLog(`Failed to get fee data: ${error.message}. Using default.`, "debug");
+    return {
+      params: {
+        gasPrice: ethers.parseUnits("1", "gwei"),
+        type: 0
+      },
+      baseFee: null
+    };
+  }
+}
+
+function applyGasCeiling(params, baseFee, ceiling) {
+  if (params.type === 0) {
+    return params.gasPrice <= ceiling ? params : null;
+  }
+  const requiredFee = (baseFee ?? params.maxFeePerGas - params.maxPriorityFeePerGas) + params.maxPriorityFeePerGas;
+  if (requiredFee > ceiling) return null;
+  if (params.maxFeePerGas <= ceiling) return params;
+  return { ...params, maxFeePerGas: ceiling };
+}
+
+async function getFeeParams(provider) {
+  const { waitForCheapGas, waitTimeoutMinutes, checkIntervalSec } = dailyActivityConfig.gasPolicy;
+  const ceiling = getGasCeiling();
+  const deadline = Date.now() + waitTimeoutMinutes * 60 * 1000;
+  while (true) {
+    const { params, baseFee } = await readFeeParams(provider);
+    if (!ceiling) return params;
+    const cappedParams = applyGasCeiling(params, baseFee, ceiling);
+    if (cappedParams) return cappedParams;
+    const currentFee = baseFee !== null && params.type === 2 ? baseFee + params.maxPriorityFeePerGas : params.maxFeePerGas || params.gasPrice;
+    if (!waitForCheapGas || Date.now() >= deadline || isStopRequested()) {
+      throw new Error(`Gas price ${formatGwei(currentFee)} gwei is above the ${formatGwei(ceiling)} gwei ceiling`);
+    }
+    addLog(`Gas price ${formatGwei(currentFee)} gwei is above the ${formatGwei(ceiling)} gwei ceiling. Re-checking in ${checkIntervalSec} seconds...`, "delay");
+    await sleep(checkIntervalSec * 1000);
+  }
+}
+
+function getGasCacheKey(method, tokenAddress, walletAddress) {
+  return `${method}:${tokenAddress}:${walletAddress.toLowerCase()}`;
+}
+
+function forgetGasEstimate(cacheKey, error) {
+  if (error.outOfGas && gasEstimateCache.delete(cacheKey)) {
+    addLog(`Dropped cached gas estimate for ${cacheKey} after an out-of-gas revert.`, "warn");
+  }
+}
+
+async function estimateGasLimit(cacheKey, estimate, { cache = true } = {}) {
+  const { gasLimitMarginPercent, gasEstimateCacheMinutes } = dailyActivityConfig.gasPolicy;
+  const cached = cache ? gasEstimateCache.get(cacheKey) : null;
+  const fromCache = Boolean(cached) && Date.now() - cached.timestamp < gasEstimateCacheMinutes * 60 * 1000;
+  let estimatedGas;
+  if (fromCache) {
+    estimatedGas = cached.estimatedGas;
+  } else {
+    estimatedGas = await estimate();
+    if (cache) gasEstimateCache.set(cacheKey, { estimatedGas, timestamp: Date.now() });
+  }
+  const gasLimit = estimatedGas * BigInt(Math.round(100 + gasLimitMarginPercent)) / 100n;
+  addLog(`Debug: Gas estimate for ${cacheKey}: ${estimatedGas}${fromCache ? " (cached)" : ""}, limit ${gasLimit}`, "debug");
+  return { estimatedGas, gasLimit, fromCache };
+}
+
+async function assertGasAffordable(provider, address, gasLimit, feeParams, label) {
+  const balance = await provider.getBalance(address);
+  const worstCaseCost = gasLimit * (feeParams.gasPrice || feeParams.maxFeePerGas);
+  if (balance < worstCaseCost) {
+    throw new Error(`Insufficient POL balance for gas: ${ethers.formatEther(balance)} < ${ethers.formatEther(worstCaseCost)}`);
+  }
+  assertTxCostWithinCap(gasLimit, feeParams, label);
+}
+
+function assertTxCostWithinCap(gasLimit, feeParams, label) {
+  const { maxTxCostPol } = dailyActivityConfig.gasPolicy;
+  if (!maxTxCostPol) return;
+  const maxCost = gasLimit * (feeParams.gasPrice || feeParams.maxFeePerGas);
+  const cap = ethers.parseEther(String(maxTxCostPol));
+  if (maxCost > cap) {
+    throw new Error(`${label} may cost up to ${ethers.formatEther(maxCost)} POL, above the ${maxTxCostPol} POL per-transaction cap`);
+  }
+}
+
+function getApprovalAmount(amountIn) {
+  const { mode, capAmount } = dailyActivityConfig.approval;
+  if (mode === "unlimited") return ethers.MaxUint256;
+  if (mode === "cap") {
+    const cap = ethers.parseEther(String(capAmount));
+    return cap > amountIn ? cap : amountIn;
+  }
+  return amountIn;
+}
+
+function formatAllowance(allowance) {
+  return allowance === ethers.MaxUint256 ? "unlimited" : ethers.formatEther(allowance);
+}
+
+async function sendApproval(wallet, tokenAddress, spender, amount, provider, feeParams) {
+  const erc20Abi = ["function approve(address spender, uint256 amount) returns (bool)"];
+  const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, wallet);
+  let approveHash;
+  try {
+    const method = amount === 0n ? "revoke" : "approve";
+    const { estimatedGas, gasLimit } = await estimateGasLimit(getGasCacheKey(method, tokenAddress, wallet.address), () => tokenContract.approve.estimateGas(spender, amount), { cache: false });
+    await assertGasAffordable(provider, wallet.address, gasLimit, feeParams, "Approval");
+    const nonce = await getNextNonce(provider, wallet.address);
+    const txParams = { to: tokenAddress, data: tokenContract.interface.encodeFunctionData("approve", [spender, amount]), value: 0n, ...feeParams, gasLimit, nonce };
+    approveHash = await sendJournaledTransaction(wallet, provider, txParams, { type: "approval", token: tokenAddress, direction: null, amountIn: formatAllowance(amount) });
+    const approveReceipt = await confirmTransaction(wallet, provider, approveHash, txParams);
+    addLog(`Approval gas: estimated ${estimatedGas}, used ${approveReceipt.gasUsed}`, "info", { txHash: approveReceipt.hash });
+    recordLedger({
+      type: "approval",
+      txHash: approveReceipt.hash,
+      token: tokenAddress,
+      amountIn: formatAllowance(amount),
+      ...getReceiptGas(approveReceipt, feeParams.gasPrice || feeParams.maxFeePerGas),
+      status: "success"
+    });
+    return approveReceipt.hash;
+  } catch (error) {
+    if (approveHash) {
+      recordLedger({ type: "approval", txHash: approveHash, token: tokenAddress, amountIn: formatAllowance(amount), ...(error.receipt ? getReceiptGas(error.receipt, feeParams.gasPrice || feeParams.maxFeePerGas) : {}), status: getFailedLedgerStatus(error), error: error.shortMessage || error.message });
+    }
+    throw error;
+  }
+}
+
+async function checkAndApproveToken(wallet, tokenAddress, spender, amountIn, provider, feeParams) {
+  const erc20Abi = ["function allowance(address owner, address spender) view returns (uint256)"];
+  const tokenContract = new ethers.Contract(tokenAddress, erc20Abi, wallet);
+  try {
+    const allowance = await tokenContract.allowance(wallet.address, spender);
+    if (allowance < amountIn) {
+      const approvalAmount = getApprovalAmount(amountIn);
+      addLog(`Approving Token Sent.. (${dailyActivityConfig.approval.mode}: ${formatAllowance(approvalAmount)})`, "info");
+      const approveHash = await sendApproval(wallet, tokenAddress, spender, approvalAmount, provider, feeParams);
+      addLog(`Approval successful: ${getShortHash(approveHash)}`, "success", { txHash: approveHash });
+      return true;
+    }
+    return false;
+  } catch (error) {
+    addLog(`Approval failed: ${error.message}`, "error");
+    throw error;
+  }
+}
+
+async function listAllowances(tokenSymbol = null) {
+  const erc20Abi = ["function allowance(address owner, address spender) view returns (uint256)"];
+  const tokens = swapDirections.filter(direction => !tokenSymbol || direction.from.toLowerCase() === tokenSymbol.toLowerCase());
+  const allowances = [];
+  for (let accountIndex = 0; accountIndex < accounts.length; accountIndex++) {
+    const { address } = accounts[accountIndex];
+    if (!address) continue;
+    const provider = getProvider(getAccountConfig(accountIndex).proxyUrl);
+    if (!provider) continue;
+    for (const token of tokens) {
+      try {
+        const tokenContract = new ethers.Contract(token.tokenIn, erc20Abi, provider);
+        const allowance = await tokenContract.allowance(address, WRAP_CONTRACT_ADDRESS);
+        allowances.push({ accountIndex, address, symbol: token.from, tokenAddress: token.tokenIn, allowance });
+        addLog(`${getAccountName(accountIndex)} ${getShortAddress(address)}: ${token.from} allowance ${formatAllowance(allowance)}`, allowance > 0n ? "warn" : "info");
+      } catch (error) {
+        addLog(`${getAccountName(accountIndex)}: Failed to read ${token.from} allowance: ${error.message}`, "error");
+      }
+    }
+  }
+  return allowances;
+}
+
+async function revokeAllowances(tokenSymbol = null, options = { flags: {} }) {
+  addLog(`Checking allowances against ${WRAP_CONTRACT_ADDRESS}...`, "wait");
+  const activeAllowances = (await listAllowances(tokenSymbol)).filter(entry => entry.allowance > 0n);
+  if (activeAllowances.length === 0) {
+    addLog("No allowances to revoke.", "success");
+    return 0;
+  }
+  if (!isDryRun && !(await confirmAction(`Revoke ${activeAllowances.length} allowance(s) with one approve(0) transaction each?`, options))) {
+    return activeAllowances.length;
+  }
+  let failed = 0;
+  for (const entry of activeAllowances) {
+    logContext = { accountIndex: entry.accountIndex + 1, address: entry.address };
+    if (isDryRun) {
+      addLog(`[DRY RUN] Would revoke ${entry.symbol} allowance for ${getAccountName(entry.accountIndex)}`, "info");
+      continue;
+    }
+    try {
+      const provider = getProvider(getAccountConfig(entry.accountIndex).proxyUrl);
+      const wallet = new ethers.Wallet(accounts[entry.accountIndex].privateKey, provider);
+      const feeParams = await getFeeParams(provider);
+      const revokeHash = await sendApproval(wallet, entry.tokenAddress, WRAP_CONTRACT_ADDRESS, 0n, provider, feeParams);
+      addLog(`${getAccountName(entry.accountIndex)}: Revoked ${entry.symbol} allowance: ${getShortHash(revokeHash)}`, "success", { txHash: revokeHash });
+    } catch (error) {
+      failed++;
+      addLog(`${getAccountName(entry.accountIndex)}: Failed to revoke ${entry.symbol} allowance: ${error.shortMessage || error.message}`, "error");
+    }
+  }
+  logContext = {};
+  addLog(`Revoked ${activeAllowances.length - failed}/${activeAllowances.length} allowance(s).`, failed > 0 ? "warn" : "success");
+  return failed;
+}
+
+async function sendWpolTransaction(wallet, provider, method, amount, feeParams, gasLimit) {
+  const wpolContract = new ethers.Contract(WPOL_ADDRESS, ["function deposit() payable", "function withdraw(uint256 wad)"], wallet);
+  const direction = method === "deposit" ? "POL->WPOL" : "WPOL->POL";
+  const label = method === "deposit" ? "Wrap" : "Withdraw";
+  const ledgerType = method === "deposit" ? "wrap" : "unwrap";
+  assertTxCostWithinCap(gasLimit, feeParams, label);
+  const nonce = await getNextNonce(provider, wallet.address);
+  const txParams = {
+    to: WPOL_ADDRESS,
+    data: wpolContract.interface.encodeFunctionData(method, method === "deposit" ? [] : [amount]),
+    value: method === "deposit" ? amount : 0n,
+    ...feeParams,
+    gasLimit,
+    nonce
+  };
+  const hash = await sendJournaledTransaction(wallet, provider, txParams, { type: ledgerType, direction, amountIn: ethers.formatEther(amount) });
+  addLog(`${label} Transaction sent: ${getShortHash(hash)}`, "warn", { txHash: hash });
+  let receipt;
+  try {
+    receipt = await confirmTransaction(wallet, provider, hash, txParams);
+  } catch (error) {
+    forgetGasEstimate(getGasCacheKey(method, WPOL_ADDRESS, wallet.address), error);
+    recordLedger({
+      type: ledgerType,
+      txHash: hash,
+      direction,
+      amountIn: ethers.formatEther(amount),
+      ...(error.receipt ? getReceiptGas(error.receipt, feeParams.gasPrice || feeParams.maxFeePerGas) : {}),
+      status: getFailedLedgerStatus(error),
+      error: error.shortMessage || error.message
+    });
+    throw error;
+  }
+  recordLedger({
+    type: ledgerType,
+    txHash: receipt.hash,
+    direction,
+    amountIn: ethers.formatEther(amount),
+    ...getReceiptGas(receipt, feeParams.gasPrice || feeParams.maxFeePerGas),
+    status: "success"
+  });
+  addLog(`${label} ${ethers.formatEther(amount)} ${direction.replace("->", " ➯ ")} Successfully, Hash:${getShortHash(receipt.hash)}`, "success", { txHash: receipt.hash });
+  return receipt;
+}
+
+async function autoWrapPol(wallet, provider, amountIn, wpolBalance) {
+  const { polReserve, targetWpol } = dailyActivityConfig.autoWrap;
+  const shortfall = amountIn - wpolBalance;
+  const target = ethers.parseEther(String(targetWpol));
+  let wrapAmount = target - wpolBalance > shortfall ? target - wpolBalance : shortfall;
+
+  const feeParams = await getFeeParams(provider);
+  const wpolContract = new ethers.Contract(WPOL_ADDRESS, ["function deposit() payable"], wallet);
+  const polBalance = await provider.getBalance(wallet.address);
+  const gasPrice = feeParams.gasPrice || feeParams.maxFeePerGas;
+  const spendable = polBalance - ethers.parseEther(String(polReserve));
+  const assertCanWrap = (available) => {
+    if (available < shortfall) {
+      throw new Error(`Insufficient POL to wrap: need ${ethers.formatEther(shortfall)}, ${ethers.formatEther(available > 0n ? available : 0n)} available above the ${polReserve} POL reserve`);
+    }
+  };
+  assertCanWrap(spendable - WPOL_DEPOSIT_GAS_BOUND * gasPrice);
+  const { estimatedGas, gasLimit } = await estimateGasLimit(getGasCacheKey("deposit", WPOL_ADDRESS, wallet.address), () => wpolContract.deposit.estimateGas({ value: shortfall }), { cache: false });
+  const available = spendable - gasLimit * gasPrice;
+  assertCanWrap(available);
+  if (wrapAmount > available) {
+    wrapAmount = available;
+  }
+
+  if (isDryRun) {
+    addLog(`[DRY RUN] Would wrap ${ethers.formatEther(wrapAmount)} POL ➯ WPOL: estimated gas ${estimatedGas}`, "info");
+    return;
+  }
+
+  addLog(`Wrapping ${ethers.formatEther(wrapAmount)} POL ➯ WPOL...`, "info");
+  const receipt = await sendWpolTransaction(wallet, provider, "deposit", wrapAmount, feeParams, gasLimit);
+  addLog(`Wrap gas: estimated ${estimatedGas}, used ${receipt.gasUsed}`, "info", { txHash: receipt.hash });
+}
+
+async function sendPol(wallet, provider, to, amount, feeParams, ledgerType) {
+  assertTxCostWithinCap(POL_TRANSFER_GAS, feeParams, "Transfer");
+  const nonce = await getNextNonce(provider, wallet.address);
+  const txParams = { to, value: amount, ...feeParams, gasLimit: POL_TRANSFER_GAS, nonce };
+  const hash = await sendJournaledTransaction(wallet, provider, txParams, { type: ledgerType, direction: `POL->${to}`, amountIn: ethers.formatEther(amount) });
+  addLog(`Transfer sent: ${ethers.formatEther(amount)} POL ➯ ${getShortAddress(to)}: ${getShortHash(hash)}`, "warn", { txHash: hash });
+  let receipt;
+  try {
+    receipt = await confirmTransaction(wallet, provider, hash, txParams);
+  } catch (error) {
+    recordLedger({
+      type: ledgerType,
+      txHash: hash,
+      direction: `POL->${to}`,
+      amountIn: ethers.formatEther(amount),
+      ...(error.receipt ? getReceiptGas(error.receipt, feeParams.gasPrice || feeParams.maxFeePerGas) : {}),
+      status: getFailedLedgerStatus(error),
+      error: error.shortMessage || error.message
+    });
+    throw error;
+  }
+  recordLedger({
+    type: ledgerType,
+    txHash: receipt.hash,
+    direction: `POL->${to}`,
+    amountIn: ethers.formatEther(amount),
+    ...getReceiptGas(receipt, feeParams.gasPrice || feeParams.maxFeePerGas),
+    status: "success"
+  });
+  return receipt;
+}
+
+async function loadFunderWallet(provider) {
+  const { funderKeyFile } = dailyActivityConfig.gasTopUp;
+  if (fs.existsSync(funderKeyFile)) {
+    throw new Error(`Funder key is still in plaintext ${funderKeyFile}. Run import-keys to move it into ${VAULT_FILE} or ${FUNDER_KEYSTORE_FILE}`);
+  }
+  const hasVault = fs.existsSync(VAULT_FILE);
+  if (!hasVault && !fs.existsSync(FUNDER_KEYSTORE_FILE)) {
+    throw new Error(`No funder key found in ${VAULT_FILE} or ${FUNDER_KEYSTORE_FILE}`);
+  }
+  const passphrase = await getVaultPassphrase();
+  const funderKey = hasVault ? readVault(passphrase).funderKey : null;
+  if (funderKey) {
+    return new ethers.Wallet(funderKey, provider);
+  }
+  if (!fs.existsSync(FUNDER_KEYSTORE_FILE)) {
+    throw new Error(`No funder key found in ${VAULT_FILE} or ${FUNDER_KEYSTORE_FILE}`);
+  }
+  const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(FUNDER_KEYSTORE_FILE, "utf8"), passphrase);
+  return wallet.connect(provider);
+}
+
+async function distributeGas() {
+  const { thresholdPol, targetPol, budgetPol } = dailyActivityConfig.gasTopUp;
+  if (targetPol <= thresholdPol) {
+    addLog(`Gas top-up failed: targetPol (${targetPol}) must be greater than thresholdPol (${thresholdPol}).`, "error");
+    return 1;
+  }
+  const provider = getProvider(getSharedProxyUrl());
+  let funder;
+  let funderBalance;
+  try {
+    funder = await loadFunderWallet(provider);
+    funderBalance = await provider.getBalance(funder.address);
+  } catch (error) {
+    addLog(`Gas top-up failed: ${error.shortMessage || error.message}`, "error");
+    return 1;
+  }
+  const threshold = ethers.parseEther(String(thresholdPol));
+  const target = ethers.parseEther(String(targetPol));
+  let remainingBudget = budgetPol > 0 ? ethers.parseEther(String(budgetPol)) : null;
+  addLog(`Gas top-up from ${getShortAddress(funder.address)} (${ethers.formatEther(funderBalance)} POL): accounts below ${thresholdPol} POL up to ${targetPol} POL${remainingBudget !== null ? `, budget ${budgetPol} POL` : ""}`, "info");
+
+  let totalSent = 0n;
+  let transfers = 0;
+  let failed = 0;
+  for (let accountIndex = 0; accountIndex < accounts.length && !isStopRequested(); accountIndex++) {
+    const { address } = accounts[accountIndex];
+    if (!address || address.toLowerCase() === funder.address.toLowerCase() || !getAccountConfig(accountIndex).enabled) continue;
+    logContext = { accountIndex: accountIndex + 1, address };
+    try {
+      const balance = await provider.getBalance(address);
+      if (balance >= threshold) continue;
+      let amount = target - balance;
+      if (remainingBudget !== null && amount > remainingBudget) {
+        amount = remainingBudget;
+      }
+      if (amount <= 0n) {
+        addLog("Gas top-up budget exhausted.", "warn");
+        break;
+      }
+      if (isDryRun) {
+        addLog(`[DRY RUN] Would send ${ethers.formatEther(amount)} POL to ${getAccountName(accountIndex)} (balance ${ethers.formatEther(balance)} POL)`, "info");
+      } else {
+        const feeParams = await getFeeParams(provider);
+        const maxCost = amount + POL_TRANSFER_GAS * (feeParams.gasPrice || feeParams.maxFeePerGas);
+        if (funderBalance < maxCost) {
+          addLog(`Funder balance too low: ${ethers.formatEther(funderBalance)} POL < ${ethers.formatEther(maxCost)} POL`, "error");
+          failed++;
+          break;
+        }
+        const receipt = await sendPol(funder, provider, address, amount, feeParams, "top-up");
+        addLog(`Topped up ${getAccountName(accountIndex)}: ${ethers.formatEther(balance)} ➯ ${ethers.formatEther(balance + amount)} POL, Hash:${getShortHash(receipt.hash)}`, "success", { txHash: receipt.hash });
+        funderBalance = await provider.getBalance(funder.address);
+      }
+      totalSent += amount;
+      transfers++;
+      if (remainingBudget !== null) {
+        remainingBudget -= amount;
+      }
+    } catch (error) {
+      failed++;
+      addLog(`Gas top-up for ${getAccountName(accountIndex)} failed: ${error.shortMessage || error.message}`, "error");
+    }
+  }
+  logContext = {};
+  addLog(`Gas top-up done: ${transfers} transfer(s), ${ethers.formatEther(totalSent)} POL sent${failed > 0 ? `, ${failed} failed` : ""}.`, failed > 0 ? "warn" : "success");
+  return failed;
+}
+
+async function sendTokenTransfer(wallet, provider, tokenAddress, symbol, to, amount, feeParams, ledgerType) {
+  const tokenContract = new ethers.Contract(tokenAddress, ["function transfer(address to, uint256 amount) returns (bool)"], wallet);
+  const cacheKey = getGasCacheKey("transfer", tokenAddress, wallet.address);
+  const { gasLimit } = await estimateGasLimit(cacheKey, () => tokenContract.transfer.estimateGas(to, amount));
+  await assertGasAffordable(provider, wallet.address, gasLimit, feeParams, "Transfer");
+  const nonce = await getNextNonce(provider, wallet.address);
+  const txParams = { to: tokenAddress, data: tokenContract.interface.encodeFunctionData("transfer", [to, amount]), value: 0n, ...feeParams, gasLimit, nonce };
+  const hash = await sendJournaledTransaction(wallet, provider, txParams, { type: ledgerType, token: tokenAddress, direction: `${symbol}->${to}`, amountIn: ethers.formatEther(amount) });
+  addLog(`Transfer sent: ${ethers.formatEther(amount)} ${symbol} ➯ ${getShortAddress(to)}: ${getShortHash(hash)}`, "warn", { txHash: hash });
+  let receipt;
+  try {
+    receipt = await confirmTransaction(wallet, provider, hash, txParams);
+  } catch (error) {
+    forgetGasEstimate(cacheKey, error);
+    recordLedger({
+      type: ledgerType,
+      txHash: hash,
+      token: tokenAddress,
+      direction: `${symbol}->${to}`,
+      amountIn: ethers.formatEther(amount),
+      ...(error.receipt ? getReceiptGas(error.receipt, feeParams.gasPrice || feeParams.maxFeePerGas) : {}),
+      status: getFailedLedgerStatus(error),
+      error: error.shortMessage || error.message
+    });
+    throw error;
+  }
+  recordLedger({
+    type: ledgerType,
+    txHash: receipt.hash,
+    token: tokenAddress,
+    direction: `${symbol}->${to}`,
+    amountIn: ethers.formatEther(amount),
+    ...getReceiptGas(receipt, feeParams.gasPrice || feeParams.maxFeePerGas),
+    status: "success"
+  });
+  return receipt;
+}
+
+function parseAccountSelection(spec) {
+  if (!spec) return accounts.map((account, index) => index);
+  return String(spec).split(",").map(part => parseInt(part.trim(), 10) - 1).filter(index => index >= 0 && index < accounts.length);
+}
+
+function formatSweepRow(columns) {
+  return columns.map((column, index) => String(column).padEnd(index === 0 ? 16 : 14)).join(" ");
+}
+
+async function readSweepBalances(accountIndex, tokens) {
+  const { address } = accounts[accountIndex];
+  const provider = getProvider(getAccountConfig(accountIndex).proxyUrl);
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
+  const balances = { WPOL: 0n, tPOL: 0n, POL: 0n };
+  if (tokens.includes("WPOL")) balances.WPOL = await new ethers.Contract(WPOL_ADDRESS, erc20Abi, provider).balanceOf(address);
+  if (tokens.includes("tPOL")) balances.tPOL = await new ethers.Contract(TPOL_ADDRESS, erc20Abi, provider).balanceOf(address);
+  if (tokens.includes("POL")) balances.POL = await provider.getBalance(address);
+  return { address, provider, balances };
+}
+
+async function sweepAccount(accountIndex, masterAddress, tokens) {
+  const { address, provider, balances } = await readSweepBalances(accountIndex, tokens);
+  const wallet = new ethers.Wallet(accounts[accountIndex].privateKey, provider);
+  const swept = { WPOL: 0n, tPOL: 0n, POL: 0n };
+  for (const [symbol, tokenAddress] of [["WPOL", WPOL_ADDRESS], ["tPOL", TPOL_ADDRESS]]) {
+    if (balances[symbol] === 0n) continue;
+    const feeParams = await getFeeParams(provider);
+    const receipt = await sendTokenTransfer(wallet, provider, tokenAddress, symbol, masterAddress, balances[symbol], feeParams, "sweep");
+    swept[symbol] = balances[symbol];
+    addLog(`Swept ${ethers.formatEther(balances[symbol])} ${symbol} from ${getAccountName(accountIndex)}, Hash:${getShortHash(receipt.hash)}`, "success", { txHash: receipt.hash });
+  }
+  if (tokens.includes("POL")) {
+    const feeParams = await getFeeParams(provider);
+    const gasPrice = feeParams.gasPrice || feeParams.maxFeePerGas;
+    const polBalance = await provider.getBalance(address);
+    const amount = polBalance - POL_TRANSFER_GAS * gasPrice;
+    if (amount > 0n) {
+      const receipt = await sendPol(wallet, provider, masterAddress, amount, { gasPrice, type: 0 }, "sweep");
+      swept.POL = amount;
+      addLog(`Swept ${ethers.formatEther(amount)} POL from ${getAccountName(accountIndex)}, Hash:${getShortHash(receipt.hash)}`, "success", { txHash: receipt.hash });
+    } else {
+      addLog(`${getAccountName(accountIndex)}: POL balance ${ethers.formatEther(polBalance)} does not cover the transfer gas, skipping POL.`, "info");
+    }
+  }
+  return swept;
+}
+
+async function promptSweepOptions() {
+  const tokens = await promptTui(`Tokens to sweep (${SWEEP_TOKENS.join(",")})`, { value: dailyActivityConfig.sweep.tokens.join(",") });
+  if (tokens === null) return null;
+  const accountSpec = await promptTui("Accounts to sweep (e.g. 1,3,5; empty = all)");
+  if (accountSpec === null) return null;
+  return { flags: { tokens: tokens.trim() || undefined, accounts: accountSpec.trim() || undefined } };
+}
+
+async function sweepFunds(options = { flags: {} }) {
+  const masterAddress = options.flags.to || dailyActivityConfig.sweep.masterAddress;
+  if (!ethers.isAddress(masterAddress)) {
+    addLog(`Invalid or missing sweep master address: ${masterAddress || "(none)"}. Set sweep.masterAddress in ${CONFIG_FILE} or pass --to=<address>.`, "error");
+    return 2;
+  }
+  const tokens = options.flags.tokens ? String(options.flags.tokens).split(",").map(symbol => symbol.trim()) : dailyActivityConfig.sweep.tokens;
+  const unknownTokens = tokens.filter(symbol => !SWEEP_TOKENS.includes(symbol));
+  if (unknownTokens.length > 0) {
+    addLog(`Unknown sweep token(s): ${unknownTokens.join(", ")}. Use ${SWEEP_TOKENS.join(", ")}.`, "error");
+    return 2;
+  }
+  const selected = parseAccountSelection(options.flags.accounts).filter(index => accounts[index].address && accounts[index].address.toLowerCase() !== masterAddress.toLowerCase());
+
+  addLog(`Sweeping ${tokens.join(", ")} from ${selected.length} account(s) to ${masterAddress}${isDryRun ? " [DRY RUN]" : ""}`, "info");
+  addLog(formatSweepRow(["Account", "WPOL", "tPOL", "POL"]), "info");
+  const previews = [];
+  for (const accountIndex of selected) {
+    try {
+      const { balances } = await readSweepBalances(accountIndex, tokens);
+      previews.push(accountIndex);
+      addLog(formatSweepRow([getAccountName(accountIndex), ...SWEEP_TOKENS.map(symbol => tokens.includes(symbol) ? Number(ethers.formatEther(balances[symbol])).toFixed(4) : "-")]), "info");
+    } catch (error) {
+      addLog(`${getAccountName(accountIndex)}: Failed to read balances: ${error.message}`, "error");
+    }
+  }
+  if (isDryRun) {
+    addLog("[DRY RUN] Nothing was sent. POL is swept minus the exact transfer gas.", "warn");
+    return 0;
+  }
+  if (previews.length === 0) {
+    addLog("No accounts to sweep.", "info");
+    return selected.length > 0 ? 1 : 0;
+  }
+  if (!(await confirmAction(`Send all ${tokens.join(", ")} from ${previews.length} account(s) to ${getShortAddress(masterAddress)}? This cannot be undone`, options))) {
+    return 1;
+  }
+
+  const totals = { WPOL: 0n, tPOL: 0n, POL: 0n };
+  let failed = selected.length - previews.length;
+  for (const accountIndex of previews) {
+    if (isStopRequested()) break;
+    logContext = { accountIndex: accountIndex + 1, address: accounts[accountIndex].address };
+    try {
+      const swept = await sweepAccount(accountIndex, masterAddress, tokens);
+      for (const symbol of SWEEP_TOKENS) totals[symbol] += swept[symbol];
+    } catch (error) {
+      failed++;
+      addLog(`Sweep of ${getAccountName(accountIndex)} failed: ${error.shortMessage || error.message}`, "error");
+    }
+  }
+  logContext = {};
+  addLog(`Sweep done: ${ethers.formatEther(totals.WPOL)} WPOL, ${ethers.formatEther(totals.tPOL)} tPOL, ${ethers.formatEther(totals.POL)} POL sent to ${getShortAddress(masterAddress)}. ${previews.length - failed}/${selected.length} account(s) swept.`, failed > 0 ? "warn" : "success");
+  return failed > 0 ? 1 : 0;
+}
+
+const wrapInterface = new ethers.Interface([
+  "function wrap(uint256 amount, address recipient)",
+  "function unwrap(uint256 amount, address recipient)"
+]);
+
+function buildReportPayload(hash, direction, walletAddress, amountIn, gasFeeAmount) {
+  return {
+    hash: hash ? hash.toLowerCase() : null,
+    blockchainId: TEAFI_CHAIN_ID,
+    type: direction.type,
+    walletAddress: walletAddress.toLowerCase(),
+    fromTokenAddress: direction.tokenIn.toLowerCase(),
+    toTokenAddress: direction.tokenOut.toLowerCase(),
+    fromTokenSymbol: direction.from,
+    toTokenSymbol: direction.to,
+    fromAmount: amountIn.toString(),
+    toAmount: amountIn.toString(),
+    gasFeeTokenAddress: '0x0000000000000000000000000000000000000000'.toLowerCase(),
+    gasFeeTokenSymbol: 'POL',
+    gasFeeAmount: gasFeeAmount
+  };
+}
+
+function formatFeeParams(feeParams) {
+  if (feeParams.gasPrice) {
+    return `type 0, gasPrice ${ethers.formatUnits(feeParams.gasPrice, "gwei")} gwei`;
+  }
+  return `type 2, maxFeePerGas ${ethers.formatUnits(feeParams.maxFeePerGas, "gwei")} gwei, maxPriorityFeePerGas ${ethers.formatUnits(feeParams.maxPriorityFeePerGas, "gwei")} gwei`;
+}
+
+async function simulateSwap(wallet, direction, amountIn, method, calldata, feeParams, report) {
+  const provider = wallet.provider;
+  const erc20Abi = ["function allowance(address owner, address spender) view returns (uint256)", "function approve(address spender, uint256 amount) returns (bool)"];
+  const tokenContract = new ethers.Contract(direction.tokenIn, erc20Abi, wallet);
+  addLog(`[DRY RUN] ${method} ${ethers.formatEther(amountIn)} ${direction.from} (${amountIn} wei) ➯ ${direction.to} via ${WRAP_CONTRACT_ADDRESS}`, "info");
+  addLog(`[DRY RUN] Fee params: ${formatFeeParams(feeParams)}`, "info");
+
+  const allowance = await tokenContract.allowance(wallet.address, WRAP_CONTRACT_ADDRESS);
+  const needsApproval = allowance < amountIn;
+  if (needsApproval) {
+    const approvalAmount = getApprovalAmount(amountIn);
+    const approveGas = await tokenContract.approve.estimateGas(WRAP_CONTRACT_ADDRESS, approvalAmount);
+    addLog(`[DRY RUN] Would approve ${formatAllowance(approvalAmount)} ${direction.from} for ${WRAP_CONTRACT_ADDRESS}: estimated gas ${approveGas}`, "info");
+  }
+
+  const callRequest = { from: wallet.address, to: WRAP_CONTRACT_ADDRESS, data: calldata, value: 0n };
+  let gasEstimate = 0n;
+  try {
+    await provider.call(callRequest);
+    const { estimatedGas, gasLimit } = await estimateGasLimit(getGasCacheKey(method, direction.tokenIn, wallet.address), () => provider.estimateGas(callRequest));
+    gasEstimate = estimatedGas;
+    addLog(`[DRY RUN] ${method} simulation succeeded: estimated gas ${estimatedGas}, gas limit with margin ${gasLimit}`, "success");
+  } catch (error) {
+    if (!needsApproval) {
+      addLog(`[DRY RUN] ${method} simulation failed: ${error.shortMessage || error.message}`, "error");
+      throw error;
+    }
+    addLog(`[DRY RUN] ${method} simulation reverted, expected until the approval is mined: ${error.shortMessage || error.message}`, "warn");
+  }
+
+  if (!report) return;
+  const gasFeeAmount = (gasEstimate * (feeParams.gasPrice || feeParams.maxFeePerGas)).toString();
+  const postData = buildReportPayload(ethers.ZeroHash, direction, wallet.address, amountIn, gasFeeAmount);
+  addLog(`[DRY RUN] Would report to ${TRANSACTION_API_URL}: ${JSON.stringify(postData)}`, "info");
+}
+
+async function performSwap(wallet, direction, amount, proxyUrl, { report = true } = {}) {
+  const provider = getProvider(proxyUrl);
+  if (!provider) {
+    throw new Error("Failed to get provider");
+  }
+  wallet = wallet.connect(provider);
+
+  const decimals = 18;
+  const amountIn = ethers.parseEther(amount.toString());
+  const address = wallet.address.toLowerCase();
+
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
+  const tokenContract = new ethers.Contract(direction.tokenIn, erc20Abi, provider);
+  try {
+    const tokenBalance = await tokenContract.balanceOf(address);
+    if (tokenBalance < amountIn && direction.from === "WPOL" && dailyActivityConfig.autoWrap.enabled) {
+      await autoWrapPol(wallet, provider, amountIn, tokenBalance);
+    } else if (tokenBalance < amountIn) {
+      throw new Error(`Insufficient ${direction.from} balance: ${ethers.formatEther(tokenBalance)} < ${amount}`);
+    }
+  } catch (error) {
+    addLog(`Balance check failed: ${error.message}`, "error");
+    throw error;
+  }
+
+  const method = direction.from === "WPOL" ? "wrap" : "unwrap";
+  const calldata = wrapInterface.encodeFunctionData(method, [amountIn, wallet.address]);
+
+  let feeParams;
+  try {
+    feeParams = await getFeeParams(provider);
+  } catch (error) {
+    addLog(`Gas policy check failed: ${error.message}`, "error");
+    throw error;
+  }
+
+  if (isDryRun) {
+    await simulateSwap(wallet, direction, amountIn, method, calldata, feeParams, report);
+    return;
+  }
+
+  await checkAndApproveToken(wallet, direction.tokenIn, WRAP_CONTRACT_ADDRESS, amountIn, provider, feeParams);
+
+  const gasCacheKey = getGasCacheKey(method, direction.tokenIn, address);
+  let txParams;
+  let estimatedGas;
+  try {
+    const gasEstimate = await estimateGasLimit(gasCacheKey, () => provider.estimateGas({ from: wallet.address, to: WRAP_CONTRACT_ADDRESS, data: calldata, value: 0n }));
+    estimatedGas = gasEstimate.estimatedGas;
+    txParams = {
+      to: WRAP_CONTRACT_ADDRESS,
+      data: calldata,
+      value: 0n,
+      ...feeParams,
+      gasLimit: gasEstimate.gasLimit
+    };
+    await assertGasAffordable(provider, address, txParams.gasLimit, txParams, "Swap");
+  } catch (error) {
+    addLog(`Gas estimation failed: ${error.shortMessage || error.message}`, "error");
+    throw error;
+  }
+
+  txParams.nonce = await getNextNonce(provider, address);
+
+  let hash;
+  try {
+    hash = await sendJournaledTransaction(wallet, provider, txParams, {
+      type: "swap",
+      direction: `${direction.from}->${direction.to}`,
+      amountIn: ethers.formatEther(amountIn),
+      report,
+      postData: buildReportPayload(null, direction, address, amountIn, "0")
+    });
+    addLog(`Swap Transaction sent: ${getShortHash(hash)}`, "warn", { txHash: hash });
+  } catch (error) {
+    addLog(`Transaction failed: ${error.message}`, "error");
+    throw error;
+  }
+
+  let receipt;
+  try {
+    receipt = await confirmTransaction(wallet, provider, hash, txParams);
+    addLog(`Swap ${amount} ${direction.from} ➯ ${direction.to} Successfully, Hash:${getShortHash(receipt.hash)} `, "success", { txHash: receipt.hash });
+    addLog(`Swap gas: estimated ${estimatedGas}, limit ${txParams.gasLimit}, used ${receipt.gasUsed}`, "info", { txHash: receipt.hash });
+  } catch (error) {
+    forgetGasEstimate(gasCacheKey, error);
+    recordLedger({
+      type: "swap",
+      txHash: hash,
+      direction: `${direction.from}->${direction.to}`,
+      amountIn: ethers.formatEther(amountIn),
+      ...(error.receipt ? getReceiptGas(error.receipt, txParams.gasPrice || txParams.maxFeePerGas) : {}),
+      status: getFailedLedgerStatus(error),
+      error: error.message
+    });
+    addLog(`Transaction failed: ${error.message}`, "error");
+    throw error;
+  }
+  recordLedger({
+    type: "swap",
+    txHash: receipt.hash,
+    direction: `${direction.from}->${direction.to}`,
+    amountIn: ethers.formatEther(amountIn),
+    ...getReceiptGas(receipt, txParams.gasPrice || txParams.maxFeePerGas),
+    status: "success"
+  });
+
+  let effectiveGasPriceBigInt;
+  if (receipt.effectiveGasPrice) {
+    effectiveGasPriceBigInt = typeof receipt.effectiveGasPrice === 'bigint' ? receipt.effectiveGasPrice : BigInt(receipt.effectiveGasPrice);
+  } else {
+    effectiveGasPriceBigInt = txParams.gasPrice || txParams.maxFeePerGas;
+  }
+  const gasUsedBigInt = typeof receipt.gasUsed === 'bigint' ? receipt.gasUsed : BigInt(receipt.gasUsed);
+  const gasFeeAmount = (gasUsedBigInt * effectiveGasPriceBigInt).toString();
+
+  const postData = buildReportPayload(receipt.hash, direction, address, amountIn, gasFeeAmount);
+  updatePendingTx(hash, { postData });
+
+  if (!report) {
+    addLog(`Report skipped for ${getShortHash(receipt.hash)}`, "info", { txHash: receipt.hash });
+    return;
+  }
+
+  await reportTransaction(postData, proxyUrl);
+  updatePendingTx(hash, { reported: true });
+}
+
+function bumpFeeParams(txParams, bumpPercent) {
+  const bump = value => value * BigInt(100 + bumpPercent) / 100n;
+  if (txParams.gasPrice) {
+    return { gasPrice: bump(txParams.gasPrice) };
+  }
+  return { maxFeePerGas: bump(txParams.maxFeePerGas), maxPriorityFeePerGas: bump(txParams.maxPriorityFeePerGas) };
+}
+
+async function sendReplacement(wallet, txParams, label, journalHash, isCancel = false) {
+  try {
+    const { signedTx, hash } = await signTransaction(wallet, txParams);
+    const entry = pendingTxJournal[journalHash];
+    if (entry) {
+      updatePendingTx(journalHash, { hashes: [...entry.hashes, hash], ...(isCancel ? { cancelHash: hash } : {}) });
+    }
+    await wallet.provider.broadcastTransaction(signedTx);
+    addLog(`${label} sent with nonce ${txParams.nonce}, fee ${formatGwei(txParams.maxFeePerGas || txParams.gasPrice)} gwei: ${getShortHash(hash)}`, "warn", { txHash: hash });
+    return hash;
+  } catch (error) {
+    if (["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED", "INSUFFICIENT_FUNDS"].includes(error.code)) {
+      addLog(`${label} not sent: ${error.shortMessage || error.message}`, "debug");
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function monitorTransaction(provider, txHash, timeoutMs, replacement = null) {
+  const { speedUpAfterSec, bumpPercent, maxBumps, cancelAfterBumps } = dailyActivityConfig.stuckTx;
+  const hashes = [txHash];
+  let currentParams = replacement?.txParams;
+  let lastBroadcast = Date.now();
+  let bumps = 0;
+  let cancelHash = null;
+  let cancelSkipped = false;
+  while (true) {
+    for (const hash of hashes) {
+      let receipt;
+      try {
+        receipt = await provider.getTransactionReceipt(hash);
+      } catch (error) {
+        addLog(`Monitor transaction error: ${error.message}`, "error");
+        continue;
+      }
+      if (receipt && receipt.blockNumber) {
+        if (hashes.length > 1) {
+          addLog(`Mined hash ${getShortHash(receipt.hash)} (tracked: ${hashes.map(getShortHash).join(", ")})`, "info", { txHash: receipt.hash });
+        }
+        if (receipt.hash === cancelHash) {
+          const error = new Error(`Transaction cancelled by self-transfer ${getShortHash(cancelHash)}`);
+          error.code = "TX_CANCELLED";
+          throw error;
+        }
+        return receipt;
+      }
+    }
+
+    const elapsed = Date.now() - lastBroadcast;
+    if (replacement && !cancelHash && elapsed > speedUpAfterSec * 1000) {
+      const ceiling = getGasCeiling();
+      const bumpedFees = bumpFeeParams(currentParams, bumpPercent);
+      const bumpedFee = bumpedFees.maxFeePerGas || bumpedFees.gasPrice;
+      if (bumps < maxBumps && (!ceiling || bumpedFee <= ceiling)) {
+        bumps++;
+        currentParams = { ...currentParams, ...bumpedFees };
+        const speedUpHash = await sendReplacement(replacement.wallet, currentParams, `Speed-up ${bumps}/${maxBumps}`, txHash);
+        if (speedUpHash) hashes.push(speedUpHash);
+        lastBroadcast = Date.now();
+        continue;
+      }
+      if (cancelAfterBumps && !cancelSkipped && ceiling && bumpedFee > ceiling) {
+        cancelSkipped = true;
+        addLog(`Cancel skipped: replacement fee ${formatGwei(bumpedFee)} gwei would exceed the ${formatGwei(ceiling)} gwei gas ceiling.`, "warn", { txHash });
+      }
+      if (cancelAfterBumps && !cancelSkipped) {
+        const cancelParams = { to: replacement.wallet.address, value: 0n, data: "0x", gasLimit: POL_TRANSFER_GAS, nonce: currentParams.nonce, type: currentParams.type, ...bumpedFees };
+        cancelHash = await sendReplacement(replacement.wallet, cancelParams, "Cancel", txHash, true);
+        if (cancelHash) hashes.push(cancelHash);
+        lastBroadcast = Date.now();
+        continue;
+      }
+    }
+    if (elapsed > timeoutMs) {
+      const error = new Error("Transaction confirmation timed out");
+      error.code = "TX_TIMEOUT";
+      throw error;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 5000));
+  }
+}
+
+async function confirmTransaction(wallet, provider, txHash, txParams) {
+  let receipt;
+  try {
+    receipt = await trackConfirmation(monitorTransaction(provider, txHash, TX_CONFIRM_TIMEOUT_MS, { wallet, txParams }));
+  } catch (error) {
+    if (error.code === "TX_CANCELLED") {
+      updatePendingTx(txHash, { status: "cancelled" });
+    } else if (pendingTxJournal[txHash]) {
+      addLog(`${getShortHash(txHash)} left in ${PENDING_TX_FILE} for reconciliation on next start.`, "warn", { txHash });
+    }
+    throw error;
+  }
+  updatePendingTx(txHash, getMinedJournalChanges(pendingTxJournal[txHash], receipt));
+  if (receipt.status === 0) {
+    const outOfGas = receipt.gasUsed * 64n >= BigInt(txParams.gasLimit) * 63n;
+    const error = new Error(outOfGas ? "Transaction reverted out of gas" : "Transaction reverted");
+    error.receipt = receipt;
+    error.outOfGas = outOfGas;
+    throw error;
+  }
+  return receipt;
+}
+
+async function liquidateAccount(accountIndex) {
+  const accountConfig = getAccountConfig(accountIndex);
+  const provider = getProvider(accountConfig.proxyUrl);
+  const wallet = new ethers.Wallet(accounts[accountIndex].privateKey, provider);
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)", "function withdraw(uint256 wad)"];
+  const tpolContract = new ethers.Contract(TPOL_ADDRESS, erc20Abi, provider);
+  const wpolContract = new ethers.Contract(WPOL_ADDRESS, erc20Abi, wallet);
+
+  const tpolBalance = await tpolContract.balanceOf(wallet.address);
+  if (tpolBalance > 0n) {
+    const unwrapDirection = swapDirections.find(direction => direction.from === "tPOL");
+    addLog(`${getAccountName(accountIndex)}: Unwrapping ${ethers.formatEther(tpolBalance)} tPOL ➯ WPOL`, "warn");
+    await performSwap(wallet, unwrapDirection, ethers.formatEther(tpolBalance), accountConfig.proxyUrl, { report: dailyActivityConfig.liquidate.reportUnwraps });
+  }
+
+  const wpolBalance = await wpolContract.balanceOf(wallet.address);
+  if (isDryRun) {
+    const withdrawAmount = wpolBalance + tpolBalance;
+    if (withdrawAmount > 0n) {
+      addLog(`[DRY RUN] Would withdraw ${ethers.formatEther(withdrawAmount)} WPOL ➯ POL`, "info");
+    }
+    return;
+  }
+  if (wpolBalance > 0n) {
+    const feeParams = await getFeeParams(provider);
+    const { gasLimit } = await estimateGasLimit(getGasCacheKey("withdraw", WPOL_ADDRESS, wallet.address), () => wpolContract.withdraw.estimateGas(wpolBalance));
+    await assertGasAffordable(provider, wallet.address, gasLimit, feeParams, "Withdraw");
+    await sendWpolTransaction(wallet, provider, "withdraw", wpolBalance, feeParams, gasLimit);
+  }
+}
+
+async function liquidateAccounts(options = { flags: {} }) {
+  const selected = parseAccountSelection(options.flags.accounts).filter(index => accounts[index].address);
+  addLog(`Liquidating tPOL and WPOL to POL for ${selected.length} account(s)${isDryRun ? " [DRY RUN]" : ""}. Reporting unwraps: ${dailyActivityConfig.liquidate.reportUnwraps ? "yes" : "no"}`, "info");
+  if (!isDryRun && !(await confirmAction(`Unwrap all tPOL and withdraw all WPOL to POL for ${selected.length} account(s)?`, options))) {
+    return 1;
+  }
+  let failed = 0;
+  for (const accountIndex of selected) {
+    if (isStopRequested()) break;
+    logContext = { accountIndex: accountIndex + 1, address: accounts[accountIndex].address };
+    const { proxyUrl } = getAccountConfig(accountIndex);
+    let before;
+    try {
+      before = await getWalletBalances(accounts[accountIndex].privateKey, proxyUrl);
+      await liquidateAccount(accountIndex);
+    } catch (error) {
+      failed++;
+      addLog(`Liquidation of ${getAccountName(accountIndex)} failed: ${error.shortMessage || error.message}`, "error");
+    }
+    try {
+      const after = await getWalletBalances(accounts[accountIndex].privateKey, proxyUrl);
+      if (before) {
+        addLog(`${getAccountName(accountIndex)}: POL ${before.formattedPOL} ➯ ${after.formattedPOL} | WPOL ${before.formattedWPOL} ➯ ${after.formattedWPOL} | tPOL ${before.formattedTPOL} ➯ ${after.formattedTPOL}`, "info");
+      }
+    } catch (error) {
+      addLog(`${getAccountName(accountIndex)}: Failed to read balances: ${error.message}`, "error");
+    }
+  }
+  logContext = {};
+  addLog(`Liquidation done: ${selected.length - failed}/${selected.length} account(s) liquidated.`, failed > 0 ? "warn" : "success");
+  return failed > 0 ? 1 : 0;
+}
+
+async function fetchLastCheckIn(walletAddress, proxyUrl) {
+  const status = await makeApiCall(`${CHECKIN_STATUS_URL}?address=${walletAddress}`, 'get', null, proxyUrl);
+  return status.lastCheckIn ? new Date(status.lastCheckIn) : null;
+}
+
+async function performCheckIn(walletAddress, proxyUrl) {
+  try {
+    addLog(`Checking check-in status for ${getShortAddress(walletAddress)}`, "info");
+    const lastCheckIn = await fetchLastCheckIn(walletAddress, proxyUrl);
+    const today = new Date();
+    
+    if (lastCheckIn) {
+      const lastDateStr = lastCheckIn.toDateString();
+      const todayDateStr = today.toDateString();
+      
+      if (lastDateStr === todayDateStr) {
+        addLog(`Already checked in today for ${getShortAddress(walletAddress)}`, "info");
+        return "already-checked-in";
+      }
+    }
+    
+    if (isDryRun) {
+      addLog(`[DRY RUN] Would POST check-in to ${CHECKIN_URL}?address=${walletAddress}`, "info");
+      return "simulated";
+    }
+    addLog(`Performing daily check-in for ${getShortAddress(walletAddress)}`, "wait");
+    const checkInResponse = await makeApiCall(`${CHECKIN_URL}?address=${walletAddress}`, 'post', {}, proxyUrl);
+    recordLedger({ type: "check-in", address: walletAddress, status: "success", checkInPoints: checkInResponse.points ?? null });
+    addLog(`Check-in successful for ${getShortAddress(walletAddress)}: +${checkInResponse.points} points`, "success");
+    return "checked-in";
+  } catch (error) {
+    if (error.response && error.response.status === 400 && error.response.data.message === "Already checked in today") {
+      addLog(`Already checked in today for ${getShortAddress(walletAddress)}`, "info");
+      return "already-checked-in";
+    }
+    recordLedger({ type: "check-in", address: walletAddress, status: "failed", error: error.message });
+    addLog(`Check-in failed for ${getShortAddress(walletAddress)}: ${error.message}`, "error");
+    return false;
+  }
+}
+
+function getRandomSwapAmount(range) {
+  return (Math.random() * (range.max - range.min) + range.min).toFixed(3);
+}
+
+async function planSwap(address, proxyUrl, accountConfig, lastDirection, isLastSwap) {
+  const { amountMode, wpolPercent, tpolPercent, endState } = dailyActivityConfig.swapPlanner;
+  const provider = getProvider(proxyUrl);
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
+  const balances = {};
+  for (const direction of swapDirections) {
+    balances[direction.from] = await new ethers.Contract(direction.tokenIn, erc20Abi, provider).balanceOf(address);
+  }
+  addLog(`Planner balances: ${ethers.formatEther(balances.WPOL)} WPOL, ${ethers.formatEther(balances.tPOL)} tPOL`, "info");
+
+  if (isLastSwap && endState !== "none") {
+    const direction = swapDirections.find(candidate => candidate.to === endState);
+    if (balances[direction.from] === 0n) {
+      addLog(`Planner: already all in ${endState}, nothing left to swap.`, "info");
+      return null;
+    }
+    return { direction, amount: ethers.formatEther(balances[direction.from]) };
+  }
+
+  const candidates = lastDirection ? swapDirections.filter(direction => direction !== lastDirection).concat(lastDirection) : swapDirections;
+  for (const direction of candidates) {
+    const balance = balances[direction.from];
+    if (amountMode === "percent") {
+      const percentRange = direction.from === "WPOL" ? wpolPercent : tpolPercent;
+      const percent = Math.random() * (percentRange.max - percentRange.min) + percentRange.min;
+      const amountWei = balance * BigInt(Math.round(Math.min(percent, 100) * 100)) / 10000n;
+      if (amountWei > 0n) {
+        return { direction, amount: ethers.formatEther(amountWei) };
+      }
+      continue;
+    }
+    const amount = getRandomSwapAmount(direction.from === "WPOL" ? accountConfig.wpolSwapRange : accountConfig.tpolSwapRange);
+    const canAutoWrap = direction.from === "WPOL" && dailyActivityConfig.autoWrap.enabled;
+    if (balance >= ethers.parseEther(amount) || canAutoWrap) {
+      return { direction, amount };
+    }
+  }
+  throw new Error(`No affordable swap: ${ethers.formatEther(balances.WPOL)} WPOL, ${ethers.formatEther(balances.tPOL)} tPOL`);
+}
+
+async function processAccount(accountIndex, { queued = false } = {}) {
+  const accountConfig = getAccountConfig(accountIndex);
+  if (!accountConfig.enabled) {
+    addLog(`${getAccountName(accountIndex)}: Disabled in ${ACCOUNTS_FILE}, skipping.`, "info");
+    return false;
+  }
+  addLog(`Starting processing for account ${accountIndex + 1}`, "info");
+  const proxyUrl = accountConfig.proxyUrl;
+  addLog(`Account ${accountIndex + 1}: Using Proxy ${proxyUrl || "none"}`, "info");
+  await checkRpcHealth(false);
+  rpcUsageByAccount.delete(accountIndex + 1);
+  let wallet;
+  try {
+    wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
+  } catch (error) {
+    addLog(`Invalid private key for account ${accountIndex + 1}: ${error.message}`, "error");
+    failedAccounts.add(accountIndex);
+    return true;
+  }
+  if (!ethers.isAddress(wallet.address)) {
+    addLog(`Invalid wallet address for account ${accountIndex + 1}: ${wallet.address}`, "error");
+    failedAccounts.add(accountIndex);
+    return true;
+  }
+  getLogContext().address = wallet.address;
+  addLog(`Processing ${getAccountName(accountIndex)}: ${getShortAddress(wallet.address)}`, "wait");
+
+  if (accountConfig.checkIn) {
+    const checkInStatus = await performCheckIn(wallet.address, proxyUrl);
+    if (!checkInStatus) {
+      failedAccounts.add(accountIndex);
+    } else if (queued && checkInStatus === "already-checked-in") {
+      deferAccount(accountIndex, Math.max(1, dailyActivityConfig.accountQueue.bufferMinutes), "Check-in cooldown has not passed yet, skipping swaps");
+      return false;
+    }
+  } else {
+    addLog(`Check-in disabled for ${getAccountName(accountIndex)}, skipping.`, "info");
+  }
+
+  let directionIndex = 0;
+  let lastDirection = null;
+  for (let swapCount = 0; swapCount < accountConfig.swapRepetitions; swapCount++) {
+    if (!(await jobCheckpoint(accountIndex))) break;
+    let currentDirection = swapDirections[directionIndex % swapDirections.length];
+    let amount;
+    if (dailyActivityConfig.swapPlanner.enabled) {
+      try {
+        const plan = await planSwap(wallet.address, proxyUrl, accountConfig, lastDirection, swapCount === accountConfig.swapRepetitions - 1);
+        if (!plan) break;
+        ({ direction: currentDirection, amount } = plan);
+      } catch (error) {
+        addLog(`Account ${accountIndex + 1} - Swap ${swapCount + 1}: Planner failed: ${error.message}. Skipping remaining swaps.`, "error");
+        failedAccounts.add(accountIndex);
+        break;
+      }
+    } else if (currentDirection.from === "WPOL") {
+      amount = getRandomSwapAmount(accountConfig.wpolSwapRange);
+    } else if (currentDirection.from === "tPOL") {
+      amount = getRandomSwapAmount(accountConfig.tpolSwapRange);
+    }
+    lastDirection = currentDirection;
+    addLog(`Account ${accountIndex + 1} - Swap ${swapCount + 1}: ${amount} ${currentDirection.from} ➯ ${currentDirection.to}`, "warn");
+    try {
+      await performSwap(wallet, currentDirection, amount, proxyUrl);
+    } catch (error) {
+      addLog(`Account ${accountIndex + 1} - Swap ${swapCount + 1} (${currentDirection.from} ➯ ${currentDirection.to}): Failed: ${error.message}. Skipping.`, "error");
+      failedAccounts.add(accountIndex);
+    } finally {
+      await updateWallets();
+    }
+
+    directionIndex++;
+
+    if (swapCount < accountConfig.swapRepetitions - 1 && !isStopRequested() && !currentJob?.skipAccounts.has(accountIndex)) {
+      const randomDelay = Math.floor(Math.random() * (25000 - 10000 + 1)) + 10000;
+      addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next swap...`, "delay");
+      await sleep(randomDelay);
+    }
+  }
+
+  if (currentJob?.skipAccounts.has(accountIndex)) {
+    addLog(`${getAccountName(accountIndex)}: Skipped by request.`, "warn");
+  }
+  const servedBy = [...(rpcUsageByAccount.get(accountIndex + 1) || [])];
+  addLog(`Account ${accountIndex + 1}: RPC served by ${servedBy.join(", ") || "none"}`, "info");
+  return true;
+}
+
+async function runWorkerPool(queue, limit, worker) {
+  const job = currentJob;
+  const workerCount = Math.max(1, Math.min(limit, queue.length));
+  if (job) job.workers = workerCount;
+  const workers = Array.from({ length: workerCount }, async () => {
+    while (queue.length > 0 && !isStopRequested()) {
+      if (job && !(await jobCheckpoint(null))) break;
+      await worker(queue.shift());
+    }
+    if (job) {
+      job.workers--;
+      if (job.state === "pausing" && job.workers > 0 && job.pausedWorkers >= job.workers) {
+        job.state = "paused";
+        addLog("Daily activity paused.", "warn");
+        updateMenu();
+        updateStatus();
+      }
+    }
+  });
+  await Promise.all(workers);
+}
+
+function getJobState() {
+  if (currentJob) return currentJob.state;
+  return nextCycleTimer ? "scheduled" : "idle";
+}
+
+function isJobActive() {
+  return getJobState() !== "idle";
+}
+
+function isStopRequested() {
+  return shutdownController.signal.aborted || Boolean(currentJob?.controller.signal.aborted);
+}
+
+function releasePausedWorkers(job) {
+  const waiters = job.resumeWaiters.splice(0);
+  job.pausedWorkers = 0;
+  waiters.forEach(resolve => resolve());
+}
+
+async function jobCheckpoint(accountIndex) {
+  const job = currentJob;
+  if (!job) return !isStopRequested();
+  if (job.state === "pausing" || job.state === "paused") {
+    job.pausedWorkers++;
+    if (job.pausedWorkers >= job.workers) {
+      job.state = "paused";
+      addLog("Daily activity paused.", "warn");
+      updateMenu();
+      updateStatus();
+    }
+    await new Promise(resolve => job.resumeWaiters.push(resolve));
+  }
+  return !job.controller.signal.aborted && !(accountIndex !== null && job.skipAccounts.has(accountIndex));
+}
+
+function pauseActivity() {
+  if (currentJob?.state !== "running") return;
+  currentJob.state = "pausing";
+  addLog("Pausing daily activity after the current transaction(s)...", "info");
+  updateMenu();
+  updateStatus();
+}
+
+function resumeActivity() {
+  if (currentJob?.state !== "pausing" && currentJob?.state !== "paused") return;
+  currentJob.state = "running";
+  releasePausedWorkers(currentJob);
+  addLog("Daily activity resumed.", "success");
+  updateMenu();
+  updateStatus();
+}
+
+function skipCurrentAccounts() {
+  if (!currentJob || activeAccounts.size === 0) {
+    addLog("No account is being processed.", "info");
+    return;
+  }
+  for (const accountIndex of activeAccounts) {
+    currentJob.skipAccounts.add(accountIndex);
+    addLog(`Skipping ${getAccountName(accountIndex)} after the current transaction.`, "warn");
+  }
+}
+
+function cancelCurrentJob() {
+  if (!currentJob) return;
+  currentJob.state = "stopping";
+  currentJob.controller.abort();
+  releasePausedWorkers(currentJob);
+}
+
+async function stopActivity() {
+  if (nextCycleTimer) {
+    clearTimeout(nextCycleTimer);
+    nextCycleTimer = null;
+    addLog("Cleared daily activity interval.", "info");
+  }
+  nextRunAt = null;
+  saveScheduledRun(null);
+  const job = currentJob;
+  if (job) {
+    addLog("Stopping daily activity. Please wait for ongoing process to complete.", "info");
+    cancelCurrentJob();
+    updateMenu();
+    updateStatus();
+    await job.done.catch(() => {});
+  }
+  updateMenu();
+  updateStatus();
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
   } catch (error) {
-    addLog(`Balance check failed: ${error.message}`, "error");
-    throw error;
+    return false;
   }
+}
 
-  const method = direction.from === "WPOL" ? "wrap" : "unwrap";
-  const calldata = wrapInterface.encodeFunctionData(method, [amountIn, wallet.address]);
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? "").trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (Number(match[1]) === 24 && Number(match[2]) > 0)) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
 
-  const feeParams = await getFeeParams(provider);
+function getScheduleParts(date) {
+  if (!scheduleFormatter) {
+    scheduleFormatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: dailyActivityConfig.schedule.timezone || undefined,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    });
+  }
+  const parts = Object.fromEntries(scheduleFormatter.formatToParts(date).map(part => [part.type, part.value]));
+  return { weekday: parts.weekday, day: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
 
-  await checkAndApproveToken(wallet, direction.tokenIn, WRAP_CONTRACT_ADDRESS, amountIn, provider, feeParams);
+function isScheduleAllowed(date) {
+  const { windows, skipDays } = dailyActivityConfig.schedule;
+  const { weekday, day, minutes } = getScheduleParts(date);
+  if (skipDays.some(skipDay => skipDay.toLowerCase() === weekday.toLowerCase() || skipDay === day)) return false;
+  if (windows.length === 0) return true;
+  return windows.some(window => {
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  });
+}
 
-  const txParams = {
-    to: WRAP_CONTRACT_ADDRESS,
-    data: calldata,
-    value: 0n,
-    ...feeParams,
-    gasLimit: BigInt(500000)
-  };
+function findNextAllowedTime(from) {
+  if (isScheduleAllowed(from)) return from;
+  const limit = from.getTime() + 14 * 24 * 60 * 60 * 1000;
+  for (let time = Math.ceil(from.getTime() / 60000) * 60000; time <= limit; time += 60 * 1000) {
+    if (isScheduleAllowed(new Date(time))) return new Date(time);
+  }
+  throw new Error("No allowed run time in the next 14 days. Check schedule windows and skipDays.");
+}
 
-  try {
-    const balance = await provider.getBalance(address);
-    const estimatedGasCost = txParams.gasPrice ? txParams.gasPrice * txParams.gasLimit : txParams.maxFeePerGas * txParams.gasLimit;
-    if (balance < estimatedGasCost) {
-      throw new Error(`Insufficient POL balance for gas: ${ethers.formatEther(balance)} < ${ethers.formatEther(estimatedGasCost)}`);
+function applyScheduleJitter(candidate) {
+  const jittered = candidate.getTime() + Math.floor(Math.random() * dailyActivityConfig.schedule.jitterMinutes * 60 * 1000);
+  for (let time = Math.floor(candidate.getTime() / 60000) * 60000 + 60000; time <= jittered; time += 60 * 1000) {
+    if (!isScheduleAllowed(new Date(time))) {
+      return new Date(Math.max(candidate.getTime(), time - 60 * 1000));
     }
-  } catch (error) {
-    addLog(`Gas estimation failed: ${error.message}`, "error");
-    throw error;
   }
+  return new Date(jittered);
+}
+
+function planNextRun(from = new Date()) {
+  const nextDue = dailyActivityConfig.accountQueue.enabled ? getNextDueAccount() : null;
+  const base = nextDue ? nextDue.nextEligibleAt : new Date(from.getTime() + dailyActivityConfig.loopHours * 60 * 60 * 1000);
+  return applyScheduleJitter(findNextAllowedTime(base));
+}
+
+function planFirstRun() {
+  const now = new Date();
+  const runAt = findNextAllowedTime(now);
+  return runAt === now ? now : applyScheduleJitter(runAt);
+}
+
+function formatScheduleTime(date) {
+  const { timezone } = dailyActivityConfig.schedule;
+  return `${date.toLocaleString("en-GB", { timeZone: timezone || undefined })}${timezone ? ` ${timezone}` : ""}`;
+}
 
-  const nonce = await getNextNonce(provider, address);
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  return `${hours}h ${String(minutes).padStart(2, "0")}m ${String(totalSeconds % 60).padStart(2, "0")}s`;
+}
 
-  let tx;
+function loadScheduledRun() {
   try {
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      nonce
-    });
-    addLog(`Swap Transaction sent: ${getShortHash(tx.hash)}`, "warn");
+    if (!fs.existsSync(SCHEDULE_FILE)) return null;
+    const runAt = new Date(JSON.parse(fs.readFileSync(SCHEDULE_FILE, "utf8")).nextRunAt);
+    return isNaN(runAt.getTime()) ? null : runAt;
   } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
+    addLog(`Failed to load ${SCHEDULE_FILE}: ${error.message}`, "error");
+    return null;
   }
+}
 
-  let receipt;
-  const timeoutMs = 120000;
+function saveScheduledRun(runAt) {
   try {
-    receipt = await monitorTransaction(provider, tx.hash, timeoutMs);
-    if (!receipt || !receipt.hash) {
-      throw new Error("Invalid transaction receipt");
-    }
-    if (receipt.status === 0) {
-      throw new Error("Transaction reverted");
+    if (runAt) {
+      fs.writeFileSync(SCHEDULE_FILE, JSON.stringify({ nextRunAt: runAt.toISOString() }, null, 2));
+    } else if (fs.existsSync(SCHEDULE_FILE)) {
+      fs.unlinkSync(SCHEDULE_FILE);
     }
-    addLog(`Swap ${amount} ${direction.from} ➯ ${direction.to} Successfully, Hash:${getShortHash(tx.hash)} `, "success");
   } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
+    addLog(`Failed to save ${SCHEDULE_FILE}: ${error.message}`, "error");
   }
+}
 
-  let effectiveGasPriceBigInt;
-  if (receipt.effectiveGasPrice) {
-    effectiveGasPriceBigInt = typeof receipt.effectiveGasPrice === 'bigint' ? receipt.effectiveGasPrice : BigInt(receipt.effectiveGasPrice);
-  } else {
-    effectiveGasPriceBigInt = txParams.gasPrice || txParams.maxFeePerGas;
+function getResumeRunTime(scheduledRun) {
+  return scheduledRun.getTime() > Date.now() ? scheduledRun : planFirstRun();
+}
+
+function computeNextEligibleAt(lastCheckIn, lastProcessedAt = 0) {
+  const { cooldownHours, bufferMinutes } = dailyActivityConfig.accountQueue;
+  const lastActivity = Math.max(lastCheckIn ? lastCheckIn.getTime() : 0, lastProcessedAt);
+  if (lastActivity === 0) return new Date();
+  return new Date(lastActivity + cooldownHours * 60 * 60 * 1000 + bufferMinutes * 60 * 1000);
+}
+
+function getEligibilityEntry(accountIndex) {
+  if (!eligibilityByAccount.has(accountIndex)) {
+    eligibilityByAccount.set(accountIndex, { lastCheckIn: null, lastProcessedAt: 0, nextEligibleAt: null, readFailed: false });
   }
-  const gasUsedBigInt = typeof receipt.gasUsed === 'bigint' ? receipt.gasUsed : BigInt(receipt.gasUsed);
-  const gasFeeAmount = (gasUsedBigInt * effectiveGasPriceBigInt).toString();
+  return eligibilityByAccount.get(accountIndex);
+}
 
-  const postData = {
-    hash: receipt.hash.toLowerCase(),
-    blockchainId: TEAFI_CHAIN_ID,
-    type: direction.type,
-    walletAddress: address.toLowerCase(),
-    fromTokenAddress: direction.tokenIn.toLowerCase(),
-    toTokenAddress: direction.tokenOut.toLowerCase(),
-    fromTokenSymbol: direction.from,
-    toTokenSymbol: direction.to,
-    fromAmount: amountIn.toString(),
-    toAmount: amountIn.toString(),
-    gasFeeTokenAddress: '0x0000000000000000000000000000000000000000'.toLowerCase(),
-    gasFeeTokenSymbol: 'POL',
-    gasFeeAmount: gasFeeAmount
-  };
+async function refreshAccountEligibility(accountIndexes) {
+  for (const accountIndex of accountIndexes) {
+    if (isStopRequested()) break;
+    const entry = getEligibilityEntry(accountIndex);
+    await logContextStorage.run({ accountIndex: accountIndex + 1 }, async () => {
+      try {
+        const address = new ethers.Wallet(accounts[accountIndex].privateKey).address;
+        getLogContext().address = address;
+        entry.lastCheckIn = await fetchLastCheckIn(address, getAccountConfig(accountIndex).proxyUrl);
+        entry.nextEligibleAt = computeNextEligibleAt(entry.lastCheckIn, entry.lastProcessedAt);
+        entry.readFailed = false;
+      } catch (error) {
+        entry.nextEligibleAt = new Date(Date.now() + dailyActivityConfig.accountQueue.retryMinutes * 60 * 1000);
+        entry.readFailed = true;
+        addLog(`${getAccountName(accountIndex)}: Failed to read last check-in: ${error.message}. Checking again at ${formatScheduleTime(entry.nextEligibleAt)}.`, "warn");
+      }
+    });
+  }
+}
 
-  try {
-    const postResponse = await axios.post(TRANSACTION_API_URL, postData, { headers: Headers, httpsAgent: createAgent(proxyUrl) });
-    addLog(`Transaction reported successfully: Points ${postResponse.data.pointsAmount}`, "success");
-  } catch (error) {
-    addLog(`Failed to report transaction: ${error.message}`, "error");
-    if (error.response) {
-      addLog(`Transaction report error: ${JSON.stringify(error.response.data)}`, "error");
+async function collectDueAccounts(exclude = []) {
+  const now = Date.now();
+  const stale = accounts.map((account, index) => index).filter(index => {
+    const entry = eligibilityByAccount.get(index);
+    return getAccountConfig(index).enabled && !exclude.includes(index) && !activeAccounts.has(index) && (!entry?.nextEligibleAt || entry.nextEligibleAt.getTime() <= now);
+  });
+  if (stale.length === 0) return [];
+  addLog(`Reading last check-in for ${stale.length} account(s)...`, "wait");
+  await refreshAccountEligibility(stale);
+  return stale.filter(index => {
+    const entry = eligibilityByAccount.get(index);
+    return !entry.readFailed && entry.nextEligibleAt.getTime() <= Date.now();
+  });
+}
+
+function deferAccount(accountIndex, minutes, reason) {
+  const entry = getEligibilityEntry(accountIndex);
+  entry.nextEligibleAt = new Date(Date.now() + minutes * 60 * 1000);
+  addLog(`${getAccountName(accountIndex)}: ${reason}. Trying again at ${formatScheduleTime(entry.nextEligibleAt)}.`, "info");
+}
+
+async function recordAccountRun(accountIndex, startedAt) {
+  if (failedAccounts.has(accountIndex)) {
+    deferAccount(accountIndex, dailyActivityConfig.accountQueue.retryMinutes, "Run failed");
+    return;
+  }
+  const entry = getEligibilityEntry(accountIndex);
+  const accountConfig = getAccountConfig(accountIndex);
+  entry.lastProcessedAt = startedAt;
+  if (accountConfig.checkIn && !isDryRun) {
+    try {
+      entry.lastCheckIn = await fetchLastCheckIn(new ethers.Wallet(accounts[accountIndex].privateKey).address, accountConfig.proxyUrl);
+    } catch (error) {
+      addLog(`${getAccountName(accountIndex)}: Failed to re-read last check-in: ${error.message}. Using the start of this run instead.`, "warn");
     }
   }
+  entry.readFailed = false;
+  entry.nextEligibleAt = computeNextEligibleAt(entry.lastCheckIn, entry.lastProcessedAt);
+  addLog(`${getAccountName(accountIndex)}: Next eligible at ${formatScheduleTime(entry.nextEligibleAt)}.`, "info");
 }
 
-async function monitorTransaction(provider, txHash, timeoutMs) {
-  const startTime = Date.now();
-  while (true) {
-    const elapsed = Date.now() - startTime;
-    if (elapsed > timeoutMs) {
-      throw new Error("Transaction confirmation timed out");
+function getNextDueAccount() {
+  let nextDue = null;
+  for (const [accountIndex, entry] of eligibilityByAccount) {
+    if (!entry.nextEligibleAt || !getAccountConfig(accountIndex).enabled) continue;
+    if (!nextDue || entry.nextEligibleAt < nextDue.nextEligibleAt) {
+      nextDue = { accountIndex, nextEligibleAt: entry.nextEligibleAt };
     }
+  }
+  return nextDue;
+}
+
+function formatEligibleTime(date) {
+  if (!date) return "-";
+  if (date.getTime() <= Date.now()) return "due";
+  return date.toLocaleString("en-GB", { timeZone: dailyActivityConfig.schedule.timezone || undefined, day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+}
 
+async function runDueAccounts(accountIndexes = null) {
+  const queue = accountIndexes ? [...accountIndexes] : await collectDueAccounts();
+  if (isStopRequested()) return;
+  if (queue.length === 0) {
+    addLog("No accounts are due yet.", "info");
+    await updateWallets();
+    return;
+  }
+  addLog(`${queue.length} account(s) due: ${queue.map(index => getAccountName(index)).join(", ")}`, "info");
+  if (dailyActivityConfig.gasTopUp.beforeCycle && !accountIndexes) {
+    await distributeGas();
+  }
+  await runWorkerPool(queue, dailyActivityConfig.concurrency, async (accountIndex) => {
+    activeAccounts.add(accountIndex);
+    updateStatus();
+    let processed;
     try {
-      const receipt = await provider.getTransactionReceipt(txHash);
-      if (receipt && receipt.blockNumber) {
-        return receipt;
-      }
-    } catch (error) {
-      addLog(`Monitor transaction error: ${error.message}`, "error");
+      processed = await logContextStorage.run({ accountIndex: accountIndex + 1 }, async () => {
+        const startedAt = Date.now();
+        const result = await processAccount(accountIndex, { queued: true });
+        if (result && !isStopRequested()) {
+          await recordAccountRun(accountIndex, startedAt);
+        }
+        return result;
+      });
+    } finally {
+      activeAccounts.delete(accountIndex);
+      updateStatus();
     }
+    if (isStopRequested()) return;
+    const newlyDue = await collectDueAccounts(queue);
+    if (newlyDue.length > 0) {
+      addLog(`Now due: ${newlyDue.map(index => getAccountName(index)).join(", ")}`, "info");
+      queue.push(...newlyDue);
+    }
+    if (processed && queue.length > 0 && !isStopRequested()) {
+      addLog(`Waiting 10 seconds before next account...`, "delay");
+      await sleep(10000);
+    }
+  });
+  await updateWallets();
+}
 
-    await sleep(5000);
+function scheduleNextCycle(runAt) {
+  clearTimeout(nextCycleTimer);
+  nextRunAt = runAt;
+  saveScheduledRun(runAt);
+  const delay = runAt.getTime() - Date.now();
+  if (delay > MAX_TIMER_MS) {
+    nextCycleTimer = setTimeout(() => scheduleNextCycle(runAt), MAX_TIMER_MS);
+    return;
   }
+  nextCycleTimer = setTimeout(() => {
+    nextCycleTimer = null;
+    nextRunAt = null;
+    if (currentJob) {
+      addLog("Previous job is still running. Retrying the scheduled cycle in 1 minute.", "info");
+      scheduleNextCycle(new Date(Date.now() + 60 * 1000));
+      return;
+    }
+    runDailyActivity();
+  }, Math.max(0, delay));
 }
 
-async function performCheckIn(walletAddress, proxyUrl) {
+async function runCycle(accountIndexes) {
+  if (dailyActivityConfig.gasTopUp.beforeCycle && accountIndexes.length === accounts.length) {
+    await distributeGas();
+  }
+  const accountQueue = [...accountIndexes];
+  await runWorkerPool(accountQueue, dailyActivityConfig.concurrency, async (accountIndex) => {
+    activeAccounts.add(accountIndex);
+    updateStatus();
+    let processed;
+    try {
+      processed = await logContextStorage.run({ accountIndex: accountIndex + 1 }, () => processAccount(accountIndex));
+    } finally {
+      activeAccounts.delete(accountIndex);
+      updateStatus();
+    }
+    if (processed && accountQueue.length > 0 && !isStopRequested()) {
+      addLog(`Waiting 10 seconds before next account...`, "delay");
+      await sleep(10000);
+    }
+  });
+}
+
+async function runDailyActivity({ scheduleNext = true, accountIndexes = null } = {}) {
+  if (accounts.length === 0) {
+    addLog("No valid accounts found.", "error");
+    return;
+  }
+  if (currentJob) {
+    addLog("Cycle is still running. Stop the current cycle first.", "error");
+    return;
+  }
+  const isRetry = accountIndexes !== null;
+  if (!isRetry && nextCycleTimer) {
+    clearTimeout(nextCycleTimer);
+    nextCycleTimer = null;
+    nextRunAt = null;
+  }
+  const useQueue = dailyActivityConfig.accountQueue.enabled;
+  const targets = accountIndexes ?? accounts.map((account, index) => index);
+  addLog(`${isRetry ? `Retrying ${targets.length} failed account(s)` : useQueue ? "Starting daily activity for due accounts" : "Starting daily activity for all accounts"}. Auto Swap: ${dailyActivityConfig.swapRepetitions}x${isDryRun ? " [DRY RUN - nothing will be signed]" : ""}`, isDryRun ? "warn" : "info");
+  if (isRetry) {
+    targets.forEach(accountIndex => failedAccounts.delete(accountIndex));
+  } else {
+    failedAccounts = new Set();
+  }
+  const job = { controller: new AbortController(), state: "running", skipAccounts: new Set(), resumeWaiters: [], workers: 0, pausedWorkers: 0 };
+  currentJob = job;
+  updateMenu();
+  updateStatus();
   try {
-    addLog(`Checking check-in status for ${getShortAddress(walletAddress)}`, "info");
-    const status = await makeApiCall(`${CHECKIN_STATUS_URL}?address=${walletAddress}`, 'get', null, proxyUrl);
-    
-    const lastCheckIn = status.lastCheckIn ? new Date(status.lastCheckIn) : null;
-    const today = new Date();
-    
-    if (lastCheckIn) {
-      const lastDateStr = lastCheckIn.toDateString();
-      const todayDateStr = today.toDateString();
-      
-      if (lastDateStr === todayDateStr) {
-        addLog(`Already checked in today for ${getShortAddress(walletAddress)}`, "info");
-        return;
+    job.done = useQueue ? runDueAccounts(accountIndexes) : runCycle(targets);
+    await job.done;
+    if (!job.controller.signal.aborted) {
+      if (scheduleNext && !isRetry) {
+        const runAt = planNextRun();
+        const nextDue = useQueue ? getNextDueAccount() : null;
+        addLog(`${useQueue ? "Due accounts processed" : "All accounts processed"}. Next cycle at ${formatScheduleTime(runAt)}${nextDue ? ` (${getAccountName(nextDue.accountIndex)} due)` : ""}.`, "success");
+        scheduleNextCycle(runAt);
+      } else {
+        addLog(`${useQueue && !isRetry ? "Due accounts processed" : "All accounts processed"}. ${failedAccounts.size} account(s) failed.`, failedAccounts.size > 0 ? "warn" : "success");
       }
     }
-    
-    addLog(`Performing daily check-in for ${getShortAddress(walletAddress)}`, "wait");
-    const checkInResponse = await makeApiCall(`${CHECKIN_URL}?address=${walletAddress}`, 'post', {}, proxyUrl);
-    addLog(`Check-in successful for ${getShortAddress(walletAddress)}: +${checkInResponse.points} points`, "success");
   } catch (error) {
-    if (error.response && error.response.status === 400 && error.response.data.message === "Already checked in today") {
-      addLog(`Already checked in today for ${getShortAddress(walletAddress)}`, "info");
-    } else {
-      addLog(`Check-in failed for ${getShortAddress(walletAddress)}: ${error.message}`, "error");
+    addLog(`Daily activity failed: ${error.message}`, "error");
+  } finally {
+    currentJob = null;
+    if (job.controller.signal.aborted) {
+      addLog("Daily activity stopped successfully.", "success");
     }
+    updateMenu();
+    updateStatus();
+    safeRender();
   }
 }
 
-async function runDailyActivity() {
+async function runCheckInOnly() {
   if (accounts.length === 0) {
     addLog("No valid accounts found.", "error");
     return;
   }
-  addLog(`Starting daily activity for all accounts. Auto Swap: ${dailyActivityConfig.swapRepetitions}x`, "info");
-  activityRunning = true;
-  isCycleRunning = true;
-  shouldStop = false;
-  hasLoggedSleepInterrupt = false;
-  activeProcesses = Math.max(0, activeProcesses);
-  updateMenu();
-  try {
-    for (let accountIndex = 0; accountIndex < accounts.length && !shouldStop; accountIndex++) {
-      addLog(`Starting processing for account ${accountIndex + 1}`, "info");
-      selectedWalletIndex = accountIndex;
-      const proxyUrl = proxies[accountIndex % proxies.length] || null;
-      addLog(`Account ${accountIndex + 1}: Using Proxy ${proxyUrl || "none"}`, "info");
-      const wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
-      if (!ethers.isAddress(wallet.address)) {
-        addLog(`Invalid wallet address for account ${accountIndex + 1}: ${wallet.address}`, "error");
-        continue;
-      }
-      addLog(`Processing account ${accountIndex + 1}: ${getShortAddress(wallet.address)}`, "wait");
-
-      await performCheckIn(wallet.address, proxyUrl);
-
-      let directionIndex = 0;
-      for (let swapCount = 0; swapCount < dailyActivityConfig.swapRepetitions && !shouldStop; swapCount++) {
-        const currentDirection = swapDirections[directionIndex % swapDirections.length];
-        let amount;
-        if (currentDirection.from === "WPOL") {
-          amount = (Math.random() * (dailyActivityConfig.wpolSwapRange.max - dailyActivityConfig.wpolSwapRange.min) + dailyActivityConfig.wpolSwapRange.min).toFixed(3);
-        } else if (currentDirection.from === "tPOL") {
-          amount = (Math.random() * (dailyActivityConfig.tpolSwapRange.max - dailyActivityConfig.tpolSwapRange.min) + dailyActivityConfig.tpolSwapRange.min).toFixed(3);
-        }
-        addLog(`Account ${accountIndex + 1} - Swap ${swapCount + 1}: ${amount} ${currentDirection.from} ➯ ${currentDirection.to}`, "warn");
-        try {
-          await performSwap(wallet, currentDirection, amount, proxyUrl);
-        } catch (error) {
-          addLog(`Account ${accountIndex + 1} - Swap ${swapCount + 1} (${currentDirection.from} ➯ ${currentDirection.to}): Failed: ${error.message}. Skipping.`, "error");
-        } finally {
-          await updateWallets();
-        }
+  failedAccounts = new Set();
+  for (let accountIndex = 0; accountIndex < accounts.length && !isStopRequested(); accountIndex++) {
+    const accountConfig = getAccountConfig(accountIndex);
+    const proxyUrl = accountConfig.proxyUrl;
+    logContext = { accountIndex: accountIndex + 1 };
+    if (!accountConfig.enabled || !accountConfig.checkIn) {
+      addLog(`${getAccountName(accountIndex)}: ${accountConfig.enabled ? "Check-in disabled" : "Disabled"} in ${ACCOUNTS_FILE}, skipping.`, "info");
+      continue;
+    }
+    let wallet;
+    try {
+      wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
+    } catch (error) {
+      addLog(`Invalid private key for account ${accountIndex + 1}: ${error.message}`, "error");
+      failedAccounts.add(accountIndex);
+      continue;
+    }
+    logContext.address = wallet.address;
+    addLog(`${getAccountName(accountIndex)}: Check-in only for ${getShortAddress(wallet.address)}`, "wait");
+    const checkedIn = await performCheckIn(wallet.address, proxyUrl);
+    if (!checkedIn) {
+      failedAccounts.add(accountIndex);
+    }
+  }
+  logContext = {};
+  addLog(`Check-in finished. ${failedAccounts.size} account(s) failed.`, failedAccounts.size > 0 ? "warn" : "success");
+}
+
+async function showAccountStatus() {
+  if (accounts.length === 0) {
+    addLog("No valid accounts found.", "error");
+    return;
+  }
+  failedAccounts = new Set();
+  for (let accountIndex = 0; accountIndex < accounts.length; accountIndex++) {
+    const accountConfig = getAccountConfig(accountIndex);
+    const proxyUrl = accountConfig.proxyUrl;
+    try {
+      const { address, formattedPOL, formattedWPOL, formattedTPOL } = await getWalletBalances(accounts[accountIndex].privateKey, proxyUrl);
+      const lastCheckIn = await fetchLastCheckIn(address, proxyUrl);
+      const nextEligible = dailyActivityConfig.accountQueue.enabled ? ` | Next eligible: ${formatEligibleTime(computeNextEligibleAt(lastCheckIn))}` : "";
+      addLog(`${getAccountName(accountIndex)}${accountConfig.enabled ? "" : " [disabled]"}: ${address} | POL ${formattedPOL} | WPOL ${formattedWPOL} | tPOL ${formattedTPOL} | Last check-in: ${lastCheckIn ? lastCheckIn.toISOString() : "never"}${nextEligible}`, "info");
+    } catch (error) {
+      addLog(`Failed to fetch status for account #${accountIndex + 1}: ${error.message}`, "error");
+      failedAccounts.add(accountIndex);
+    }
+  }
+}
 
-        directionIndex++;
+function printHeadlessUsage() {
+  console.log([
+    "Usage: node index.js --headless <command> [--dry-run]",
+    "",
+    "  --dry-run       Simulate approvals and swaps with eth_call/estimateGas and skip check-in POSTs",
+    "  --concurrency=N Process N accounts in parallel (overrides concurrency in config.json)",
+    "",
+    "Commands:",
+    "  run-once        Run one daily cycle (check-in + swaps) for all accounts, then exit",
+    "  loop            Run the daily cycle every loopHours hours (within the schedule windows) until stopped",
+    "  status          Print balances and last check-in for all accounts",
+    "  check-in-only   Run the daily check-in for all accounts without swapping",
+    "  allowances [--token=WPOL|tPOL]",
+    "                  List WPOL/tPOL allowances of every account for the tPOL wrap contract",
+    "  revoke-allowances [--token=WPOL|tPOL] [--yes]",
+    "                  Revoke every non-zero allowance for the tPOL wrap contract after a y/N confirmation",
+    "  top-up          Send POL from the funder wallet to accounts below the gas threshold",
+    "  sweep [--to=<address>] [--tokens=WPOL,tPOL,POL] [--accounts=1,2,...] [--yes]",
+    "                  Move WPOL, tPOL and POL (minus gas) to the master address after a y/N confirmation",
+    "                  (--yes skips it); --dry-run previews",
+    "  liquidate [--accounts=1,2,...] [--yes]",
+    "                  Unwrap all tPOL to WPOL, then withdraw all WPOL to native POL after a y/N confirmation",
+    "  import-keys     Encrypt pk.txt, mnemonic.txt and funder.txt into vault.json (--format=keystore writes",
+    "                  keys to keystores/ and funder-keystore.json instead), then offer to shred them",
+    "                  (--shred skips the question)",
+    "  generate-wallets --count=<N> [--store=vault|pk]",
+    "                  Create N random wallets and add them to vault.json (--store=pk writes plaintext pk.txt)",
+    "  import-accounts <file.csv>",
+    `                  Merge per-account settings from CSV into accounts.json (columns: ${ACCOUNT_CSV_COLUMNS.join(",")})`,
+    "  ledger [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--account=<index|address>] [--type=swap|approval|wrap|unwrap|top-up|sweep|check-in|report]",
+    "         [--format=csv|json|summary] [--output=<file>]",
+    "                  Query and export the transaction ledger",
+    "  retry-reports   Retry every pending Tea-Fi report in outbox.json now"
+  ].join("\n"));
+}
 
-        if (swapCount < dailyActivityConfig.swapRepetitions - 1 && !shouldStop) {
-          const randomDelay = Math.floor(Math.random() * (25000 - 10000 + 1)) + 10000;
-          addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next swap...`, "delay");
-          await sleep(randomDelay);
-        }
+async function runHeadless(options) {
+  if (options.command === "ledger" && !options.flags.output) {
+    headlessLogStream = process.stderr;
+  }
+  loadConfig();
+  if (options.flags.concurrency) {
+    dailyActivityConfig.concurrency = Math.max(1, parseInt(options.flags.concurrency, 10) || 1);
+  }
+  switch (options.command) {
+    case "import-keys":
+      return importKeys(options);
+    case "generate-wallets":
+      return generateWallets(options);
+    case "import-accounts":
+      return importAccountsCsv(options);
+    case "ledger":
+      return queryLedger(options);
+    case "retry-reports":
+    case "run-once":
+    case "loop":
+    case "status":
+    case "check-in-only":
+    case "allowances":
+    case "revoke-allowances":
+    case "top-up":
+    case "sweep":
+    case "liquidate":
+      break;
+    case "help":
+      printHeadlessUsage();
+      return 0;
+    default:
+      if (options.command) {
+        console.error(`Unknown command: ${options.command}`);
       }
+      printHeadlessUsage();
+      return 2;
+  }
 
-      if (accountIndex < accounts.length - 1 && !shouldStop) {
-        addLog(`Waiting 10 seconds before next account...`, "delay");
-        await sleep(10000);
+  await loadAccounts();
+  if (!loadAccountSettings()) {
+    return 1;
+  }
+  loadProxies();
+  initRpcPool();
+  await checkRpcHealth(options.command === "status");
+  if (accounts.length === 0) {
+    return 1;
+  }
+  if (!["status", "allowances"].includes(options.command) && !(await runProxySelfTest())) {
+    addLog("Proxy self-test failed. Refusing to run with traffic leaking outside the proxy.", "error");
+    return 1;
+  }
+  if (["status", "allowances", "revoke-allowances", "retry-reports"].includes(options.command)) {
+    loadReportOutbox();
+  } else {
+    startReportOutbox();
+  }
+  loadPendingTxJournal();
+  if (!["status", "allowances"].includes(options.command) && !isDryRun) {
+    await reconcilePendingTransactions();
+  }
+  switch (options.command) {
+    case "retry-reports":
+      return retryReports();
+    case "run-once":
+      await runDailyActivity({ scheduleNext: false });
+      await processReportOutbox(true);
+      break;
+    case "loop": {
+      const scheduledRun = loadScheduledRun();
+      let runAt;
+      try {
+        runAt = scheduledRun ? getResumeRunTime(scheduledRun) : planFirstRun();
+      } catch (error) {
+        addLog(error.message, "error");
+        return 1;
       }
-    }
-    if (!shouldStop && activeProcesses <= 0) {
-      addLog(`All accounts processed. Waiting ${dailyActivityConfig.loopHours} hours for next cycle.`, "success");
-      dailyActivityInterval = setTimeout(runDailyActivity, dailyActivityConfig.loopHours * 60 * 60 * 1000);
-    }
-  } catch (error) {
-    addLog(`Daily activity failed: ${error.message}`, "error");
-  } finally {
-    if (shouldStop) {
-      if (activeProcesses <= 0) {
-        if (dailyActivityInterval) {
-          clearTimeout(dailyActivityInterval);
-          dailyActivityInterval = null;
-          addLog("Cleared daily activity interval.", "info");
-        }
-        activityRunning = false;
-        isCycleRunning = false;
-        shouldStop = false;
-        hasLoggedSleepInterrupt = false;
-        activeProcesses = 0;
-        addLog("Daily activity stopped successfully.", "success");
-        updateMenu();
-        updateStatus();
-        safeRender();
-      } else {
-        const stopCheckInterval = setInterval(() => {
-          if (activeProcesses <= 0) {
-            clearInterval(stopCheckInterval);
-            if (dailyActivityInterval) {
-              clearTimeout(dailyActivityInterval);
-              dailyActivityInterval = null;
-              addLog("Cleared daily activity interval.", "info");
-            }
-            activityRunning = false;
-            isCycleRunning = false;
-            shouldStop = false;
-            hasLoggedSleepInterrupt = false;
-            activeProcesses = 0;
-            addLog("Daily activity stopped successfully.", "success");
-            updateMenu();
-            updateStatus();
-            safeRender();
-          } else {
-            addLog(`Waiting for ${activeProcesses} process to complete...`, "info");
+      while (!isStopRequested()) {
+        if (runAt.getTime() > Date.now()) {
+          saveScheduledRun(runAt);
+          addLog(`Next cycle at ${formatScheduleTime(runAt)}.`, "delay");
+          while (runAt.getTime() > Date.now() && !isStopRequested()) {
+            await sleep(Math.min(runAt.getTime() - Date.now(), MAX_TIMER_MS));
           }
-        }, 1000);
+          if (isStopRequested()) break;
+        }
+        await runDailyActivity({ scheduleNext: false });
+        try {
+          runAt = planNextRun();
+        } catch (error) {
+          addLog(error.message, "error");
+          return 1;
+        }
       }
-    } else {
-      activityRunning = false;
-      isCycleRunning = activeProcesses > 0 || dailyActivityInterval !== null;
-      updateMenu();
-      updateStatus();
-      safeRender();
+      break;
     }
+    case "status":
+      await showAccountStatus();
+      break;
+    case "check-in-only":
+      await runCheckInOnly();
+      break;
+    case "allowances":
+      await listAllowances(options.flags.token);
+      break;
+    case "revoke-allowances":
+      if (await revokeAllowances(options.flags.token, options) > 0) {
+        return 1;
+      }
+      break;
+    case "top-up":
+      if (await distributeGas() > 0) {
+        return 1;
+      }
+      break;
+    case "sweep":
+      return sweepFunds(options);
+    case "liquidate":
+      return liquidateAccounts(options);
   }
+  return failedAccounts.size > 0 ? 1 : 0;
+}
+
+process.on("SIGTERM", () => requestShutdown("Received SIGTERM"));
+
+if (isHeadless) {
+  process.on("SIGINT", () => requestShutdown("Received SIGINT"));
+  const exitCode = await runHeadless(cliOptions);
+  process.exit(exitCode);
 }
 
 const screen = blessed.screen({
@@ -743,9 +3595,7 @@ const menuBox = blessed.list({
   mouse: true,
   border: { type: "line" },
   style: { fg: "white", bg: "default", border: { fg: "red" }, selected: { bg: "magenta", fg: "black" }, item: { fg: "white" } },
-  items: isCycleRunning
-    ? ["Stop Activity", "Set Manual Config", "Clear Logs", "Refresh", "Exit"]
-    : ["Start Auto Daily Activity", "Set Manual Config", "Clear Logs", "Refresh", "Exit"],
+  items: getMainMenuItems(),
   padding: { left: 1, top: 1 }
 });
 
@@ -875,6 +3725,7 @@ screen.append(configForm);
 let renderQueue = [];
 let isRendering = false;
 function safeRender() {
+  if (isHeadless) return;
   renderQueue.push(true);
   if (isRendering) return;
   isRendering = true;
@@ -927,14 +3778,21 @@ function adjustLayout() {
 }
 
 function updateStatus() {
+  if (isHeadless) return;
   try {
-    const isProcessing = activityRunning || (isCycleRunning && dailyActivityInterval !== null);
-    const status = activityRunning
-      ? `${loadingSpinner[spinnerIndex]} ${chalk.yellowBright("Running")}`
-      : isCycleRunning && dailyActivityInterval !== null
-      ? `${loadingSpinner[spinnerIndex]} ${chalk.yellowBright("Waiting for next cycle")}`
+    const jobState = getJobState();
+    const isProcessing = jobState !== "idle";
+    const jobStatusLabels = {
+      running: chalk.yellowBright("Running"),
+      pausing: chalk.yellowBright("Pausing"),
+      paused: chalk.cyanBright("Paused"),
+      stopping: chalk.redBright("Stopping"),
+      scheduled: chalk.yellowBright(`Waiting for next cycle${nextRunAt ? ` (in ${formatCountdown(nextRunAt.getTime() - Date.now())})` : ""}`)
+    };
+    const status = isProcessing
+      ? `${jobState === "paused" ? "" : `${loadingSpinner[spinnerIndex]} `}${jobStatusLabels[jobState]}`
       : chalk.green("Idle");
-    const statusText = `Status: ${status} | Active Account: ${getShortAddress(walletInfo.address)} | Total Accounts: ${accounts.length} | Auto Swap: ${dailyActivityConfig.swapRepetitions}x | Loop: ${dailyActivityConfig.loopHours}h | TEAFI AUTO BOT`;
+    const statusText = `${isDryRun ? `${chalk.bgRed.whiteBright.bold(" DRY RUN ")} | ` : ""}Status: ${status} | Active Account: ${activeAccounts.size > 1 ? `${activeAccounts.size} running` : getShortAddress(activeAccounts.size === 1 ? accounts[[...activeAccounts][0]].address : walletInfo.address)} | Total Accounts: ${accounts.length} | Auto Swap: ${dailyActivityConfig.swapRepetitions}x | Loop: ${dailyActivityConfig.loopHours}h | Gas: ${currentGasInfo.feeGwei ?? "N/A"}${getGasCeiling() ? `/${formatGwei(getGasCeiling())}` : ""} gwei | Pending Reports: ${getPendingReportCount()} | TEAFI AUTO BOT`;
     statusBox.setContent(statusText);
     if (isProcessing) {
       if (blinkCounter % 1 === 0) {
@@ -953,9 +3811,10 @@ function updateStatus() {
 }
 
 async function updateWallets() {
+  if (isHeadless) return;
   try {
     const walletData = await updateWalletData();
-    const header = `${chalk.bold.cyan("  Address").padEnd(20)}           ${chalk.bold.cyan("POL".padEnd(6))}  ${chalk.bold.cyan("WPOL".padEnd(6))}   ${chalk.bold.cyan("tPOL".padEnd(6))}`;
+    const header = `${chalk.bold.cyan("  Address").padEnd(20)}           ${chalk.bold.cyan("POL".padEnd(6))}  ${chalk.bold.cyan("WPOL".padEnd(6))}   ${chalk.bold.cyan("tPOL".padEnd(6))}${dailyActivityConfig.accountQueue.enabled ? `   ${chalk.bold.cyan("Next")}` : ""}`;
     const separator = chalk.gray("-".repeat(100));
     walletBox.setItems([header, separator, ...walletData]);
     walletBox.select(0);
@@ -966,6 +3825,7 @@ async function updateWallets() {
 }
 
 function updateLogs() {
+  if (isHeadless) return;
   try {
     logBox.add(transactionLogs[transactionLogs.length - 1] || chalk.gray("No logs available."));
     logBox.scrollTo(transactionLogs.length);
@@ -975,13 +3835,36 @@ function updateLogs() {
   }
 }
 
+function getJobMenuItems() {
+  const jobState = getJobState();
+  const items = [isJobActive() ? "Stop Activity" : "Start Auto Daily Activity"];
+  if (jobState === "running") items.push("Pause Activity");
+  if (jobState === "pausing" || jobState === "paused") items.push("Resume Activity");
+  if (currentJob && jobState !== "stopping") items.push("Skip Current Account");
+  if (!currentJob && failedAccounts.size > 0) items.push(`Retry Failed Accounts (${failedAccounts.size})`);
+  return items;
+}
+
+function getMainMenuItems() {
+  return [
+    ...getJobMenuItems(),
+    isDryRun ? "Disable Dry Run" : "Enable Dry Run",
+    "Check Allowances",
+    "Revoke Allowances",
+    "Top Up Gas",
+    "Sweep Funds",
+    "Liquidate to POL",
+    "Set Manual Config",
+    "Clear Logs",
+    "Refresh",
+    "Exit"
+  ];
+}
+
 function updateMenu() {
+  if (isHeadless) return;
   try {
-    menuBox.setItems(
-      isCycleRunning
-        ? ["Stop Activity", "Set Manual Config", "Clear Logs", "Refresh", "Exit"]
-        : ["Start Auto Daily Activity", "Set Manual Config", "Clear Logs", "Refresh", "Exit"]
-    );
+    menuBox.setItems(getMainMenuItems());
     safeRender();
   } catch (error) {
     addLog(`Menu update failed: ${error.message}`, "error");
@@ -1021,48 +3904,66 @@ menuBox.on("select", async (item) => {
   const action = item.getText();
   switch (action) {
     case "Start Auto Daily Activity":
-      if (isCycleRunning) {
-        addLog("Cycle is still running. Stop the current cycle first.", "error");
+      await runDailyActivity();
+      break;
+    case "Stop Activity":
+      await stopActivity();
+      break;
+    case "Pause Activity":
+      pauseActivity();
+      break;
+    case "Resume Activity":
+      resumeActivity();
+      break;
+    case "Skip Current Account":
+      skipCurrentAccounts();
+      break;
+    case `Retry Failed Accounts (${failedAccounts.size})`:
+      await runDailyActivity({ accountIndexes: [...failedAccounts].sort((a, b) => a - b) });
+      break;
+    case "Enable Dry Run":
+    case "Disable Dry Run":
+      if (isJobActive()) {
+        addLog("Cannot change dry run mode while a cycle is running.", "error");
+        break;
+      }
+      isDryRun = action === "Enable Dry Run";
+      if (isDryRun) {
+        eligibilityBeforeDryRun = new Map([...eligibilityByAccount].map(([accountIndex, entry]) => [accountIndex, { ...entry }]));
       } else {
-        await runDailyActivity();
+        eligibilityByAccount = eligibilityBeforeDryRun ?? new Map();
+        eligibilityBeforeDryRun = null;
       }
+      addLog(isDryRun ? "Dry run enabled: transactions are simulated and nothing is signed." : "Dry run disabled.", "warn");
+      updateMenu();
+      updateStatus();
       break;
-    case "Stop Activity":
-      shouldStop = true;
-      if (dailyActivityInterval) {
-        clearTimeout(dailyActivityInterval);
-        dailyActivityInterval = null;
-        addLog("Cleared daily activity interval.", "info");
+    case "Check Allowances":
+    case "Revoke Allowances":
+    case "Top Up Gas":
+    case "Sweep Funds":
+    case "Liquidate to POL":
+      if (isJobActive()) {
+        addLog("Cycle is still running. Stop the current cycle first.", "error");
+        break;
       }
-      addLog("Stopping daily activity. Please wait for ongoing process to complete.", "info");
-      safeRender();
-      if (activeProcesses <= 0) {
-        activityRunning = false;
-        isCycleRunning = false;
-        shouldStop = false;
-        hasLoggedSleepInterrupt = false;
-        addLog("Daily activity stopped successfully.", "success");
-        updateMenu();
-        updateStatus();
-        safeRender();
+      if (action === "Check Allowances") {
+        await listAllowances();
+      } else if (action === "Revoke Allowances") {
+        await revokeAllowances();
+        await updateWallets();
+      } else if (action === "Top Up Gas") {
+        await distributeGas();
+        await updateWallets();
+      } else if (action === "Sweep Funds") {
+        const sweepOptions = await promptSweepOptions();
+        if (sweepOptions) {
+          await sweepFunds(sweepOptions);
+          await updateWallets();
+        }
       } else {
-        const stopCheckInterval = setInterval(() => {
-          if (activeProcesses <= 0) {
-            clearInterval(stopCheckInterval);
-            activityRunning = false;
-            isCycleRunning = false;
-            shouldStop = false;
-            hasLoggedSleepInterrupt = false;
-            activeProcesses = 0;
-            addLog("Daily activity stopped successfully.", "success");
-            updateMenu();
-            updateStatus();
-            safeRender();
-          } else {
-            addLog(`Waiting for ${activeProcesses} process(es) to complete...`, "info");
-            safeRender();
-          }
-        }, 1000);
+        await liquidateAccounts();
+        await updateWallets();
       }
       break;
     case "Set Manual Config":
@@ -1081,12 +3982,13 @@ menuBox.on("select", async (item) => {
       clearTransactionLogs();
       break;
     case "Refresh":
+      await readFeeParams(getProvider(getSharedProxyUrl()));
       await updateWallets();
       addLog("Data refreshed.", "success");
       break;
     case "Exit":
-      clearInterval(statusInterval);
-      process.exit(0);
+      requestShutdown("Exit requested");
+      break;
   }
 });
 
@@ -1323,17 +4225,43 @@ dailyActivitySubMenu.key(["escape"], () => {
   }, 100);
 });
 
-screen.key(["escape", "q", "C-c"], () => {
-  addLog("Exiting application", "info");
-  clearInterval(statusInterval);
-  process.exit(0);
+screen.key(["escape", "q", "C-c"], (ch, key) => {
+  if (screen.grabKeys && key.full !== "C-c") return;
+  requestShutdown("Exit requested");
 });
 
 async function initialize() {
   try {
     loadConfig();
-    loadAccounts();
+    await loadAccounts();
+    if (!loadAccountSettings()) {
+      accounts = [];
+      throw new Error(`Fix ${ACCOUNTS_FILE} and restart. No accounts will run until then.`);
+    }
     loadProxies();
+    initRpcPool();
+    await checkRpcHealth();
+    await runProxySelfTest();
+    startReportOutbox();
+    loadPendingTxJournal();
+    if (!isDryRun) {
+      await reconcilePendingTransactions();
+    }
+    await readFeeParams(getProvider(getSharedProxyUrl()));
+    if (dailyActivityConfig.accountQueue.enabled) {
+      await refreshAccountEligibility(accounts.map((account, index) => index).filter(index => getAccountConfig(index).enabled));
+    }
+    const scheduledRun = loadScheduledRun();
+    if (scheduledRun) {
+      try {
+        const runAt = getResumeRunTime(scheduledRun);
+        addLog(`Resuming schedule: next cycle at ${formatScheduleTime(runAt)}.`, "info");
+        scheduleNextCycle(runAt);
+        updateMenu();
+      } catch (error) {
+        addLog(`Failed to resume schedule: ${error.message}`, "error");
+      }
+    }
     updateStatus();
     await updateWallets();
     updateLogs();